@@ -0,0 +1,86 @@
+// GAS ウェブアプリのローカル・スタンドインサーバー（ネットワークなしで読み込み/保存の流れを確認する用）
+// GAS と同じ契約で応答し、データはJSONファイルに保存する
+//   GET  /  : 保存済みの月次行の配列を返す（未保存なら []）
+//   POST /  : text/plain のJSON文字列（月次行の配列）で全体を置き換え、{ status: 'ok' } を返す
+//
+// 使い方: npm run mock:gas
+//   MOCK_GAS_PORT  待ち受けポート（既定 8787）
+//   MOCK_GAS_FILE  保存先のJSONファイル（既定 .mock-data/sheet.json）
+//   MOCK_GAS_DELAY 応答の遅延ミリ秒（既定 0。保存中表示の確認用）
+import http from 'node:http';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+const PORT = Number(process.env.MOCK_GAS_PORT) || 8787;
+const FILE = resolve(process.env.MOCK_GAS_FILE || '.mock-data/sheet.json');
+const DELAY = Number(process.env.MOCK_GAS_DELAY) || 0;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const readRows = async () => {
+  try {
+    return JSON.parse(await readFile(FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+const writeRows = async (rows) => {
+  await mkdir(dirname(FILE), { recursive: true });
+  await writeFile(FILE, JSON.stringify(rows, null, 2));
+};
+
+const readBody = (req) => new Promise((resolveBody, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolveBody(body));
+  req.on('error', reject);
+});
+
+const send = (res, status, payload) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (DELAY > 0) await new Promise(r => setTimeout(r, DELAY));
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'GET') {
+      send(res, 200, await readRows());
+    } else if (req.method === 'POST') {
+      let rows;
+      try {
+        rows = JSON.parse(await readBody(req));
+      } catch {
+        send(res, 400, { status: 'error', message: 'JSONとして読み取れません' });
+        return;
+      }
+      if (!Array.isArray(rows)) {
+        send(res, 400, { status: 'error', message: '月次行の配列を送ってください' });
+        return;
+      }
+      await writeRows(rows);
+      console.log(`[mock-gas] saved ${rows.length} rows`);
+      send(res, 200, { status: 'ok', count: rows.length });
+    } else {
+      send(res, 405, { status: 'error', message: `Method ${req.method} not allowed` });
+    }
+  } catch (error) {
+    console.error('[mock-gas]', error);
+    send(res, 500, { status: 'error', message: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-gas] listening on http://localhost:${PORT} (data: ${FILE})`);
+});
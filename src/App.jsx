@@ -1,160 +1,647 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useEffectEvent, useMemo, useRef } from 'react';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ComposedChart, ReferenceLine, Area, AreaChart } from 'recharts';
-import { Calculator, Calendar, TrendingUp, DollarSign, Save, RefreshCw, Plus, Minus, Activity, Loader2 } from 'lucide-react';
-
-// ★ここにGASのウェブアプリURLを貼り付けてください
-const GAS_API_URL = 'https://script.google.com/macros/s/AKfycbyldlQz0R5ui1qv3s_Vx3Tb3rP5xUu2tsfJc1CsNYJrDm0OoWaKUGZLfqUh2wGxmELsoQ/exec';
-
-// 初期データ生成ヘルパー（初回アクセス時やデータがない場合用）
-const generateInitialData = () => {
-  const data = [];
-  const startDate = new Date(2025, 8, 1);
-  const totalMonths = 16;
-  
-  for (let i = 0; i < totalMonths; i++) {
-    const currentDate = new Date(startDate);
-    currentDate.setMonth(startDate.getMonth() + i);
-    const year = currentDate.getFullYear();
-    const month = currentDate.getMonth() + 1;
-    const key = `${year}-${String(month).padStart(2, '0')}`;
-    
-    // デフォルト値
-    let baseSales = 3000000;
-    if (month === 1) baseSales *= 2.5;
-    if (month === 3) baseSales *= 1.8;
-    if (month === 10 || month === 11) baseSales *= 1.5;
-    if (month === 8) baseSales *= 0.8;
-
-    data.push({
-      id: i,
-      monthStr: key,
-      year: year,
-      month: month,
-      sales: Math.round(baseSales),
-      cogs: Math.round(baseSales * 0.35),
-      fixedCost: 800000,
-      fixedCostMemo: '',
-      spotCost: 200000,
-      spotCostMemo: '',
-      personnel: 600000,
-      personnelMemo: '',
-      memo: month === 1 ? '成人式' : (month === 3 ? '卒業式' : ''),
-    });
-  }
-  return data;
+import { Calculator, Calendar, TrendingUp, DollarSign, Save, RefreshCw, Plus, Minus, Activity, Loader2, RotateCcw, WifiOff, ChevronRight, ChevronDown, FileDown, FileSpreadsheet, FileUp, Undo2, Redo2, FileText, ArrowDownToLine, ArrowRightToLine, AlertTriangle } from 'lucide-react';
+import { generateInitialData, summarize, buildChartData, recalcRow } from './lib/simulation';
+import { formatCurrency, formatMan } from './lib/format';
+import { PLAN_DEFS, applyDrivers } from './lib/drivers';
+import { seedActuals } from './lib/actuals';
+import { applyCashFlow } from './lib/cashflow';
+import { applyTaxes } from './lib/tax';
+import { buildBreakEven } from './lib/breakeven';
+import { createDefaultWhatIf, applyWhatIf, buildTornado, isWhatIfActive } from './lib/whatif';
+import { loadDraft, saveDraft } from './lib/localDraft';
+import { storage } from './lib/storage';
+import { SYNC_STATUS, AUTOSAVE_DELAY_MS, hashData, isEmptySheet } from './lib/sync';
+import { exportCsv, exportXlsx } from './lib/exportPlan';
+import { mergeImport } from './lib/importPlan';
+import { COST_CATEGORIES, itemizedCategories } from './lib/costItems';
+import { generateForecast, isBusyMonth } from './lib/seasonality';
+import { buildEventMarkers } from './lib/events';
+import { toRiskInput, startRiskSimulation } from './lib/montecarlo';
+import { buildUnitBreakdown } from './lib/units';
+import { createHistory, recordHistory, undoHistory, redoHistory, createSnapshot } from './lib/history';
+import {
+  gridColumnsFor, applyCellChange, applyCellUpdates, selectionRange, isInRange, gridColumnOf,
+  parseClipboardGrid, buildPasteUpdates, buildFillDownUpdates, buildFillRightUpdates, rangeToText,
+} from './lib/grid';
+import { buildInputWarnings } from './lib/validation';
+import { getPeriod, formatPeriod, resizePeriod, extendPeriod, summarizeByFiscalYear } from './lib/period';
+import {
+  createScenario, deserializeScenarios, serializeScenarios, normalizeScenarioState,
+  DEFAULT_SCENARIO_ID, DEFAULT_SCENARIO_NAME, SCENARIO_COLORS,
+} from './lib/scenarios';
+import ScenarioBar from './components/ScenarioBar';
+import ScenarioComparison from './components/ScenarioComparison';
+import PlanSettings from './components/PlanSettings';
+import BudgetActualChart from './components/BudgetActualChart';
+import CashFlowPanel from './components/CashFlowPanel';
+import BreakEvenPanel from './components/BreakEvenPanel';
+import WhatIfPanel from './components/WhatIfPanel';
+import PeriodSettings from './components/PeriodSettings';
+import FiscalYearSummary from './components/FiscalYearSummary';
+import SyncBanner from './components/SyncBanner';
+import CsvImportDialog from './components/CsvImportDialog';
+import CostItemsPanel from './components/CostItemsPanel';
+import CostBreakdownRow from './components/CostBreakdownRow';
+import AssetsPanel from './components/AssetsPanel';
+import SeasonalityPanel from './components/SeasonalityPanel';
+import EventsPanel from './components/EventsPanel';
+import RiskPanel from './components/RiskPanel';
+import UnitsPanel from './components/UnitsPanel';
+import TaxLoanPanel from './components/TaxLoanPanel';
+import HistoryPanel from './components/HistoryPanel';
+import ReportView from './components/ReportView';
+import CellInput from './components/CellInput';
+import { ActualHeaders, ActualCells, ACTUAL_COLUMN_COUNT } from './components/ActualColumns';
+
+// ローカル下書きへの書き込み間隔
+const DRAFT_SAVE_DELAY_MS = 500;
+
+// 入力テーブルの貼り付け・コピーの結果を表示しておく時間
+const GRID_NOTICE_MS = 5000;
+
+// 入力テーブルの費用列より右の計算結果の列（減価償却費～月末現金残高）
+// 営業利益から右は、締めた月は実績で計算した値（経常利益・税引後利益と揃える）
+const RESULT_HEADERS = [
+  { label: '減価償却費', className: 'min-w-[100px] text-purple-700' },
+  { label: '営業利益', className: 'min-w-[100px] font-bold bg-emerald-50', title: '締めた月は実績で計算' },
+  { label: '利益率', className: 'min-w-[80px] bg-emerald-50', title: '締めた月は実績で計算' },
+  { label: '支払利息', className: 'min-w-[90px]' },
+  { label: '経常利益', className: 'min-w-[100px] bg-lime-50' },
+  { label: '法人税等', className: 'min-w-[90px]' },
+  { label: '税引後利益', className: 'min-w-[100px] font-bold bg-lime-50' },
+  { label: '税・借入の資金影響', className: 'min-w-[110px] bg-teal-50' },
+  { label: '月末現金残高', className: 'min-w-[110px] bg-teal-50' },
+];
+
+const createInitialScenarios = () => [createScenario(DEFAULT_SCENARIO_NAME, generateInitialData(), DEFAULT_SCENARIO_ID)];
+
+// 累積グラフのツールチップ表示名
+const MAIN_CHART_LABELS = {
+  resultSales: '売上高',
+  resultOperatingProfit: '営業利益',
+  profitBand: '営業利益 P10～P90',
+  profitP50: '営業利益 P50',
+};
+
+const CUMULATIVE_LABELS = {
+  accumulatedSales: '累積売上',
+  accumulatedTotalCost: '累積コスト',
+  cashBalance: '月末現金残高',
 };
 
 const KimonoBusinessSimulator = () => {
-  const [data, setData] = useState([]); // 初期値は空にしてuseEffectでロード
+  const [scenarios, setScenarios] = useState([]); // 初期値は空にしてuseEffectでロード
+  const [activeScenarioId, setActiveScenarioId] = useState(DEFAULT_SCENARIO_ID);
+  const [compareIds, setCompareIds] = useState([]); // KPI・グラフで並べて比較するシナリオ
   const [isLoading, setIsLoading] = useState(true);
-  const [isSaving, setIsSaving] = useState(false);
+  const [syncState, setSyncState] = useState(null); // 'saving' | 'conflict' | 'error' | null
+  const [syncError, setSyncError] = useState('');
+  const [baseHash, setBaseHash] = useState(null); // 最後に読み込み・保存したときのシート内容のハッシュ
+  const [syncedSnapshot, setSyncedSnapshot] = useState(''); // 最後にシートと一致していた時点のデータ
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [showActuals, setShowActuals] = useState(false); // 入力テーブルの予実列
+  const [whatIf, setWhatIf] = useState(createDefaultWhatIf()); // 保存しない一時的な試算条件
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isReportOpen, setIsReportOpen] = useState(false); // 印刷用レポートの表示
+  const [expandedRowId, setExpandedRowId] = useState(null); // 費用明細を開いている月
+  const [riskRun, setRiskRun] = useState(null); // モンテカルロの結果と、計算したときの chartData
+  const [riskProgress, setRiskProgress] = useState(null); // 計算中は 0～1
+  const [riskError, setRiskError] = useState('');
+  const cancelRiskRef = useRef(null);
+  const tableRef = useRef(null);
+  const extendSelectionRef = useRef(false); // 次にフォーカスしたセルまで範囲選択を広げる（Shift+矢印・Shift+クリック）
+  const [history, setHistory] = useState(createHistory()); // 元に戻す・やり直し（このページを開いている間だけ）
+  const [snapshots, setSnapshots] = useState([]); // 名前付きスナップショット（ローカルの下書きと一緒に保存）
+  const [selection, setSelection] = useState(null); // 入力テーブルの範囲選択 { anchor, focus }（{ row: 行番号, field }）
+  const [gridNotice, setGridNotice] = useState(''); // 貼り付け・コピーの結果
+
+  const activeScenario = scenarios.find(s => s.id === activeScenarioId) || scenarios[0];
+  const data = useMemo(() => (activeScenario ? activeScenario.data : []), [activeScenario]);
+
+  const settings = activeScenario ? activeScenario.settings : null;
+
+  // シナリオの月次データと設定を置き換える（履歴には残さない。元に戻す・やり直しで使う）
+  const replaceScenarioState = (scenarioId, { data: newData, settings: newSettings }) => {
+    setScenarios(prev => prev.map(s => (s.id === scenarioId ? { ...s, data: newData, settings: newSettings } : s)));
+  };
+
+  // 表示中シナリオを更新し、元に戻せるように履歴に積む
+  // mergeKey が同じ連続した変更（同じセルへの入力中など）は1件にまとめる
+  const updateActiveScenario = (next, mergeKey = null) => {
+    const before = { data: activeScenario.data, settings: activeScenario.settings };
+    const after = { ...before, ...next };
+    replaceScenarioState(activeScenario.id, after);
+    setHistory(prev => recordHistory(prev, { scenarioId: activeScenario.id, mergeKey, before, after, at: Date.now() }));
+  };
+
+  // 表示中シナリオの月次データを更新
+  const setData = (newData, mergeKey = null) => {
+    updateActiveScenario({ data: newData }, mergeKey);
+  };
+
+  // 表示中シナリオの設定を更新（単価・原価率や費用の内訳が変わったら月次の値も再計算）
+  const setSettings = (newSettings) => {
+    const changedKeys = Object.keys(newSettings).filter(key => newSettings[key] !== settings[key]);
+    updateActiveScenario({ settings: newSettings, data: data.map(row => recalcRow(row, newSettings)) }, `settings:${changedKeys.join(',')}`);
+  };
+
+  // 元に戻す・やり直し（別のシナリオの操作なら、そのシナリオに切り替える）
+  const applyHistoryEntry = (entry, state) => {
+    if (!scenarios.some(s => s.id === entry.scenarioId)) return;
+    replaceScenarioState(entry.scenarioId, state);
+    setActiveScenarioId(entry.scenarioId);
+  };
+
+  const handleUndo = () => {
+    const { history: next, entry } = undoHistory(history);
+    if (!entry) return;
+    setHistory(next);
+    applyHistoryEntry(entry, entry.before);
+  };
+
+  const handleRedo = () => {
+    const { history: next, entry } = redoHistory(history);
+    if (!entry) return;
+    setHistory(next);
+    applyHistoryEntry(entry, entry.after);
+  };
+
+  // レポートの表紙の項目は数値に影響しないので、月次の再計算をせずに設定だけ更新する
+  const handleReportChange = (report) => {
+    updateActiveScenario({ settings: { ...settings, report } }, 'settings:report');
+  };
+
+  // スナップショット（表示中シナリオの今の状態に名前を付けて残す）
+  const handleSaveSnapshot = (name) => {
+    setSnapshots(prev => [...prev, createSnapshot(name, activeScenario)]);
+  };
+
+  // スナップショットを表示中シナリオに復元する（元に戻すで取り消せる）
+  const handleRestoreSnapshot = (id) => {
+    const snapshot = snapshots.find(s => s.id === id);
+    if (!snapshot) return;
+    if (!window.confirm(`シナリオ「${activeScenario.name}」の月次データと設定を、スナップショット「${snapshot.name}」の内容に置き換えますか？（「元に戻す」で取り消せます）`)) return;
+    updateActiveScenario({ data: snapshot.data, settings: snapshot.settings });
+  };
+
+  const handleDeleteSnapshot = (id) => {
+    const snapshot = snapshots.find(s => s.id === id);
+    if (snapshot && window.confirm(`スナップショット「${snapshot.name}」を削除しますか？`)) {
+      setSnapshots(prev => prev.filter(s => s.id !== id));
+    }
+  };
+
+  // 同期状態から表示用のステータスを決める
+  const isDirty = useMemo(() => JSON.stringify(serializeScenarios(scenarios)) !== syncedSnapshot, [scenarios, syncedSnapshot]);
+  const syncStatus = syncState || (!isOnline ? 'offline' : (isDirty ? 'pending' : 'saved'));
+
+  // 読み込み直したら、それまでの履歴は別の内容に対するものなので捨てる
+  const applyLoaded = (loaded, hash, snapshot) => {
+    setScenarios(loaded);
+    setHistory(createHistory());
+    setActiveScenarioId(loaded[0].id);
+    setBaseHash(hash);
+    setSyncedSnapshot(snapshot);
+  };
+
+  // シートの内容を画面に反映（空なら初期データ）
+  const applyRemote = (remote) => {
+    const loaded = isEmptySheet(remote) ? createInitialScenarios() : deserializeScenarios(remote);
+    applyLoaded(loaded, hashData(remote), JSON.stringify(serializeScenarios(loaded)));
+  };
 
   // 1. データ取得 (Load)
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch(GAS_API_URL);
-        const result = await response.json();
-        
-        if (result && result.length > 0) {
-          setData(result);
-        } else {
-          // データが空なら初期データを生成してセット
-          setData(generateInitialData());
-        }
-      } catch (error) {
-        console.error("Fetch error:", error);
-        alert("データの読み込みに失敗しました。初期データを表示します。");
-        setData(generateInitialData());
-      } finally {
-        setIsLoading(false);
+  // ローカルの下書き（IndexedDB）とシートを突き合わせ、未同期の変更があれば下書きを優先する
+  const fetchData = useEffectEvent(async () => {
+    const draft = await loadDraft(storage.name);
+    if (draft && draft.snapshots) {
+      setSnapshots(draft.snapshots.map(normalizeScenarioState));
+    }
+    let remote = null;
+    try {
+      remote = await storage.load();
+    } catch (error) {
+      console.error("Fetch error:", error);
+    }
+
+    const hasLocalChanges = draft && JSON.stringify(serializeScenarios(draft.scenarios)) !== draft.syncedSnapshot;
+    const draftScenarios = draft ? draft.scenarios.map(normalizeScenarioState) : null;
+
+    if (remote === null) {
+      // シートに接続できない：下書きがあればそれで作業を続ける
+      // 下書きもなければ初期データを表示するが、基準ハッシュがないためシートへは上書きしない（保存時に競合扱い）
+      if (draft) {
+        applyLoaded(draftScenarios, draft.baseHash, draft.syncedSnapshot);
+      } else {
+        applyLoaded(createInitialScenarios(), null, '');
       }
-    };
+      setSyncError(`${storage.label}の読み込みに失敗しました。`);
+    } else if (hasLocalChanges && (draft.baseHash === hashData(remote) || window.confirm(
+      'この端末に未保存の変更がありますが、その後保存先のデータも更新されています。\n' +
+      'OK: この端末の変更を表示する（保存時に競合として確認します）\nキャンセル: 保存先の内容を読み込む'
+    ))) {
+      applyLoaded(draftScenarios, draft.baseHash, draft.syncedSnapshot);
+    } else {
+      applyRemote(remote);
+    }
+    setIsLoading(false);
+  });
 
+  useEffect(() => {
     fetchData();
   }, []);
 
   // 2. データ保存 (Save)
-  const handleSave = async () => {
-    setIsSaving(true);
+  // 保存前にシートを読み直し、読み込み時から変わっていれば上書きせず競合として止める
+  const syncToSheet = async ({ force = false } = {}) => {
+    if (!navigator.onLine) return;
+    setSyncState('saving');
+    setSyncError('');
+    // 全シナリオの月次行を1つの配列にまとめて送る（各行にシナリオID/名が入る）
+    const rows = serializeScenarios(scenarios);
     try {
-      // GASはPOSTのPreflight(OPTIONS)が苦手なため、no-corsモードやtext/plainを使う工夫が必要
-      // ここでは最もシンプルな text/plain でJSON文字列を送る方法をとります
-      await fetch(GAS_API_URL, {
-        method: 'POST',
-        mode: 'no-cors',
-        headers: {
-          'Content-Type': 'text/plain', 
-        },
-        body: JSON.stringify(data),
-      });
-      alert('Google Spreadsheetsに保存しました！');
+      const current = await storage.load();
+      const isUnchanged = baseHash === null ? isEmptySheet(current) : hashData(current) === baseHash;
+      if (!force && !isUnchanged) {
+        setSyncState('conflict');
+        return;
+      }
+      await storage.save(rows);
+      // 保存後の内容を次回の競合チェックの基準にする
+      const saved = await storage.load();
+      setBaseHash(hashData(saved));
+      setSyncedSnapshot(JSON.stringify(rows));
+      setLastSyncedAt(new Date());
+      setSyncState(null);
     } catch (error) {
       console.error("Save error:", error);
-      alert('保存に失敗しました。コンソールを確認してください。');
-    } finally {
-      setIsSaving(false);
+      setSyncError(error.message);
+      setSyncState('error');
     }
   };
 
-  // 集計値の計算
-  const summary = useMemo(() => {
-    const totalSales = data.reduce((acc, curr) => acc + (Number(curr.sales) || 0), 0);
-    const totalCost = data.reduce((acc, curr) => 
-      acc + (Number(curr.cogs) || 0) + (Number(curr.fixedCost) || 0) + (Number(curr.spotCost) || 0) + (Number(curr.personnel) || 0), 0);
-    const totalProfit = totalSales - totalCost;
-    const profitMargin = totalSales > 0 ? (totalProfit / totalSales) * 100 : 0;
-
-    return {
-      sales: totalSales,
-      cost: totalCost,
-      profit: totalProfit,
-      margin: profitMargin.toFixed(1)
+  const handleSave = () => syncToSheet();
+
+  // 競合の解消：シートの内容を読み込む（この端末の変更は破棄）
+  const handleReloadFromSheet = async () => {
+    if (!window.confirm('この端末の未保存の変更を破棄して、保存先の内容を読み込みますか？')) return;
+    setSyncState('saving');
+    try {
+      applyRemote(await storage.load());
+      setSyncState(null);
+    } catch (error) {
+      console.error("Fetch error:", error);
+      setSyncError(error.message);
+      setSyncState('error');
+    }
+  };
+
+  // 競合の解消：この端末の内容でシートを上書き
+  const handleForceSave = () => {
+    if (window.confirm('保存先の変更を破棄して、この端末の内容で上書き保存しますか？')) {
+      syncToSheet({ force: true });
+    }
+  };
+
+  // 編集内容はすぐにローカルの下書きへ保存
+  useEffect(() => {
+    if (isLoading) return undefined;
+    const timer = setTimeout(() => {
+      saveDraft(storage.name, { scenarios, baseHash, syncedSnapshot, snapshots });
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isLoading, scenarios, baseHash, syncedSnapshot, snapshots]);
+
+  // オンラインで未同期の変更があれば、編集が落ち着いたところでシートへ自動保存
+  // （競合・エラー中は自動では再送しない）
+  const autoSync = useEffectEvent(() => {
+    syncToSheet();
+  });
+  useEffect(() => {
+    if (isLoading || !isDirty || !isOnline || syncState) return undefined;
+    const timer = setTimeout(() => autoSync(), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isLoading, isDirty, isOnline, syncState, scenarios]);
+
+  // オンライン復帰時はエラー状態を解除して自動保存を再開
+  const handleOnline = useEffectEvent(() => {
+    setIsOnline(true);
+    if (syncState === 'error') setSyncState(null);
+  });
+  useEffect(() => {
+    const onOnline = () => handleOnline();
+    const onOffline = () => setIsOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
     };
-  }, [data]);
+  }, []);
+
+  const period = getPeriod(data);
+
+  // What-if を適用した月次データ（保存データはそのまま）
+  const simulatedData = useMemo(() => (settings ? applyWhatIf(data, whatIf, settings.plans) : data), [data, whatIf, settings]);
+
+  // 集計値の計算
+  const summary = useMemo(() => (settings ? summarize(simulatedData, settings) : null), [simulatedData, settings]);
 
   // 入力変更ハンドラ
+  // 予約件数の変更は売上・原価に反映し、売上・原価の直接入力はその月の手入力上書きとして扱う
   const handleInputChange = (id, field, value) => {
+    const newData = data.map(item => (item.id === id ? applyCellChange(item, field, value, settings.plans) : item));
+    setData(newData, `${id}:${field}`);
+  };
+
+  // 月次の締め切替（締めるときは未入力の実績欄に計画値を下書き）
+  const handleToggleClosed = (id, isClosed) => {
     const newData = data.map(item => {
-      if (item.id === id) {
-        return { ...item, [field]: value };
-      }
-      return item;
+      if (item.id !== id) return item;
+      const updated = { ...item, isClosed };
+      return isClosed ? seedActuals(updated) : updated;
     });
     setData(newData);
   };
 
+  // 手入力の上書きを解除してドライバー計算に戻す
+  const handleResetOverride = (id, field) => {
+    const flag = field === 'sales' ? 'salesManual' : 'cogsManual';
+    const newData = data.map(item => (item.id === id ? applyDrivers({ ...item, [flag]: false }, settings.plans) : item));
+    setData(newData);
+  };
+
   // グラフ用データの整形
-  let accSales = 0;
-  let accCost = 0;
-
-  const chartData = data.map(d => {
-    const sales = Number(d.sales) || 0;
-    const cogs = Number(d.cogs) || 0;
-    const spotCost = Number(d.spotCost) || 0;
-    const fixedCost = Number(d.fixedCost) || 0;
-    const personnel = Number(d.personnel) || 0;
-
-    const grossProfit = sales - cogs;
-    const totalCost = cogs + fixedCost + spotCost + personnel;
-    const operatingProfit = sales - totalCost;
-
-    accSales += sales;
-    accCost += totalCost;
-
-    return {
-      ...d,
-      grossProfit,
-      totalCost,
-      operatingProfit,
-      accumulatedSales: accSales,
-      accumulatedTotalCost: accCost,
-      profitMargin: sales > 0 ? ((operatingProfit / sales) * 100).toFixed(1) : 0
-    };
-  });
+  const chartData = useMemo(() => (settings ? applyCashFlow(applyTaxes(buildChartData(simulatedData), settings), settings.cash) : []), [simulatedData, settings]);
+
+  // 入力テーブル用（入力欄は保存済みの計画値、計算列は What-if 適用後の値）
+  const tableRows = useMemo(() => chartData.map((row, index) => ({ ...row, input: data[index] })), [chartData, data]);
+
+  // グラフのイベントマーカー（期間内の月のみ）
+  const eventMarkers = useMemo(() => {
+    if (!settings) return [];
+    const months = new Set(data.map(row => row.monthStr));
+    return buildEventMarkers(settings.events).filter(marker => months.has(marker.monthStr));
+  }, [data, settings]);
+
+  // グラフのツールチップの見出し（イベントのある月はイベント名を添える）
+  const formatEventLabel = (label) => {
+    const marker = eventMarkers.find(m => m.monthStr === label);
+    return marker ? `${label}（${marker.label}）` : label;
+  };
 
-  const formatCurrency = (val) => {
-    return new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' }).format(val || 0);
+  // 明細から積み上げる費用カテゴリ（入力表では手入力できない）
+  const itemizedCostCategories = useMemo(() => itemizedCategories(settings ? settings.costItems : []), [settings]);
+
+  // 入力テーブルの列数（年月・件数・売上/原価/粗利・費用と各メモ・計算結果・予実・全体メモ。費用明細の行はこれにまたがる）
+  const tableColumnCount = 1 + PLAN_DEFS.length + 3 + COST_CATEGORIES.length * 2 + RESULT_HEADERS.length + (showActuals ? ACTUAL_COLUMN_COUNT : 0) + 1;
+
+  // 入力テーブルで今入力できる列（矢印キーで移動する順、範囲の貼り付け・コピーの列の並び）
+  const gridColumns = useMemo(() => gridColumnsFor({ showActuals, itemized: itemizedCostCategories }), [showActuals, itemizedCostCategories]);
+
+  // 入力値の注意表示（マイナス、原価が売上超え、桁違いなど）
+  const inputWarnings = useMemo(() => buildInputWarnings(data), [data]);
+  const warningList = useMemo(() => data.flatMap(row => Object.values(inputWarnings[row.id] || {}).map(message => `${row.monthStr} ${message}`)), [data, inputWarnings]);
+
+  // 範囲選択（2セル以上のときだけ色を付け、コピー・貼り付け・下/右へのコピーの対象にする）
+  const selectedRange = selection ? selectionRange(selection, gridColumns) : null;
+  const isMultiSelected = selectedRange !== null && (selectedRange.top !== selectedRange.bottom || selectedRange.left !== selectedRange.right);
+  const isCellSelected = (rowIndex, field) => isMultiSelected && isInRange(selectedRange, rowIndex, gridColumns.findIndex(col => col.field === field));
+
+  useEffect(() => {
+    if (!gridNotice) return undefined;
+    const timer = setTimeout(() => setGridNotice(''), GRID_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [gridNotice]);
+
+  // 入力テーブルのセル間の移動（締めていない月の実績など、入力できないセルは飛ばす）
+  const moveGridFocus = (from, rowStep, colStep, extend) => {
+    const colIndex = gridColumns.findIndex(col => col.field === from.field);
+    for (let r = from.row + rowStep, c = colIndex + colStep; r >= 0 && r < data.length && c >= 0 && c < gridColumns.length; r += rowStep, c += colStep) {
+      const cell = tableRef.current.querySelector(`[data-grid-row="${r}"][data-grid-field="${gridColumns[c].field}"]`);
+      if (cell && !cell.disabled) {
+        extendSelectionRef.current = extend;
+        cell.focus();
+        return;
+      }
+    }
+  };
+
+  // 下へ・右へのコピーと貼り付けをまとめて反映する（1回の操作として元に戻せる）
+  const applyGridUpdates = ({ updates, skipped }, done) => {
+    if (updates.length > 0) setData(applyCellUpdates(data, updates, settings.plans));
+    const skippedNote = skipped > 0 ? `（${skipped}セルは数値として読めない値か、入力できないセルのため飛ばしました）` : '';
+    setGridNotice(updates.length + skipped > 0 ? `${updates.length}セルに${done}${skippedNote}` : '');
+  };
+
+  const handleFill = (direction) => {
+    if (!selectedRange) return;
+    if (direction === 'down') applyGridUpdates(buildFillDownUpdates(data, gridColumns, selectedRange), '下へコピーしました');
+    else applyGridUpdates(buildFillRightUpdates(data, gridColumns, selectedRange), '右へコピーしました');
+  };
+
+  // 入力テーブルのキー操作
+  // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y はブラウザ標準の入力欄の取り消しの代わりに計画全体の履歴を使う
+  // Enter / ↑↓ は上下の月へ、←→ はカーソルが端にあるとき（全選択中を含む）左右の列へ。Shift+矢印で範囲選択
+  // Ctrl+D / Ctrl+R は下へ・右へのコピー（1セルだけなら上・左のセルの値を入れる）
+  const handleTableKeyDown = (e) => {
+    const { gridRow, gridField } = e.target.dataset;
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      } else if ((key === 'd' || key === 'r') && gridField !== undefined) {
+        e.preventDefault();
+        handleFill(key === 'd' ? 'down' : 'right');
+      }
+      return;
+    }
+    if (gridField === undefined) return;
+    const from = { row: Number(gridRow), field: gridField };
+    const { selectionStart, selectionEnd, value } = e.target;
+    const isAllSelected = selectionStart === 0 && selectionEnd === value.length;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      moveGridFocus(from, e.shiftKey ? -1 : 1, 0, false);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveGridFocus(from, e.key === 'ArrowDown' ? 1 : -1, 0, e.shiftKey);
+    } else if (e.key === 'ArrowLeft' && (isAllSelected || selectionEnd === 0)) {
+      e.preventDefault();
+      moveGridFocus(from, 0, -1, e.shiftKey);
+    } else if (e.key === 'ArrowRight' && (isAllSelected || selectionStart === value.length)) {
+      e.preventDefault();
+      moveGridFocus(from, 0, 1, e.shiftKey);
+    }
+  };
+
+  // セルにフォーカスしたら選択をそのセルに（Shift 付きなら範囲を広げる）
+  const handleTableFocus = (e) => {
+    const { gridRow, gridField } = e.target.dataset;
+    if (gridField === undefined) return;
+    const cell = { row: Number(gridRow), field: gridField };
+    const extend = extendSelectionRef.current;
+    extendSelectionRef.current = false;
+    setSelection(prev => (extend && prev ? { ...prev, focus: cell } : { anchor: cell, focus: cell }));
+  };
+
+  // Excel などからの範囲の貼り付け（1つの値を範囲選択に貼ると全体に入れる。1セルへの1つの値は入力欄に任せる）
+  const handleTablePaste = (e) => {
+    if (!selectedRange || e.target.dataset.gridField === undefined) return;
+    const grid = parseClipboardGrid(e.clipboardData.getData('text/plain'));
+    if (grid.length === 1 && grid[0].length === 1 && !isMultiSelected) return;
+    e.preventDefault();
+    applyGridUpdates(buildPasteUpdates(data, gridColumns, selectedRange, grid), '貼り付けました');
+  };
+
+  // 範囲選択のコピー（タブ区切りなので Excel にそのまま貼れる）
+  const handleTableCopy = (e) => {
+    if (!isMultiSelected || e.target.dataset.gridField === undefined) return;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', rangeToText(data, gridColumns, selectedRange));
+    setGridNotice(`${selectedRange.bottom - selectedRange.top + 1}行×${selectedRange.right - selectedRange.left + 1}列をコピーしました`);
+  };
+
+  // 感度分析（トルネード図）
+  const tornado = useMemo(() => (settings ? buildTornado(data, whatIf, settings.plans) : []), [data, whatIf, settings]);
+
+  // 会計年度別の集計
+  const fiscalYears = useMemo(() => (settings ? summarizeByFiscalYear(chartData, settings.fiscalYearStartMonth) : []), [chartData, settings]);
+
+  // 損益分岐点分析
+  const breakEven = useMemo(() => buildBreakEven(chartData), [chartData]);
+
+  // 店舗・チャネル別の損益（共通費を配賦したもの。拠点の合計が全体の営業利益になる）
+  const unitBreakdown = useMemo(() => (settings ? buildUnitBreakdown(chartData, settings) : []), [chartData, settings]);
+
+  // 比較対象シナリオ（表示中シナリオは常に先頭）
+  const comparedScenarios = useMemo(() => {
+    if (!activeScenario) return [];
+    const others = scenarios.filter(s => s.id !== activeScenario.id && compareIds.includes(s.id));
+    return [activeScenario, ...others].map(s => {
+      const adjusted = applyWhatIf(s.data, whatIf, s.settings.plans);
+      return {
+        ...s,
+        color: SCENARIO_COLORS[scenarios.indexOf(s) % SCENARIO_COLORS.length],
+        chartData: buildChartData(adjusted),
+        summary: summarize(adjusted, s.settings),
+      };
+    });
+  }, [scenarios, activeScenario, compareIds, whatIf]);
+  const isComparing = comparedScenarios.length > 1;
+
+  // 比較シナリオの営業利益を年月で突き合わせて重ねる
+  // リスク試算は計算したときの計画のままなら帯を重ねる（計画が変わったら再実行するまで出さない）
+  const riskBands = riskRun && riskRun.source === chartData ? riskRun.result.months : null;
+
+  const mainChartData = useMemo(() => {
+    if (!isComparing && !riskBands) return chartData;
+    return chartData.map((row, index) => {
+      const merged = { ...row };
+      comparedScenarios.slice(1).forEach(s => {
+        const match = s.chartData.find(r => r.monthStr === row.monthStr);
+        merged[`cmp_${s.id}`] = match ? match.resultOperatingProfit : null;
+      });
+      if (riskBands) {
+        merged.profitBand = [riskBands[index].profitP10, riskBands[index].profitP90];
+        merged.profitP50 = riskBands[index].profitP50;
+      }
+      return merged;
+    });
+  }, [chartData, comparedScenarios, isComparing, riskBands]);
+
+  // モンテカルロ試算（Worker で実行。前の計算が残っていれば止める）
+  const handleRunRisk = () => {
+    if (cancelRiskRef.current) cancelRiskRef.current();
+    const source = chartData;
+    const rows = source.map(row => toRiskInput(row, isBusyMonth(settings.seasonality, row.month)));
+    setRiskError('');
+    setRiskProgress(0);
+    cancelRiskRef.current = startRiskSimulation(rows, settings.risk, {
+      onProgress: setRiskProgress,
+      onDone: (result) => {
+        cancelRiskRef.current = null;
+        setRiskRun({ result, source });
+        setRiskProgress(null);
+      },
+      onError: (message) => {
+        cancelRiskRef.current = null;
+        setRiskError(message);
+        setRiskProgress(null);
+      },
+    });
+  };
+
+  useEffect(() => () => {
+    if (cancelRiskRef.current) cancelRiskRef.current();
+  }, []);
+
+  // エクスポート（What-if を含まない保存済みの計画を出力）
+  const exportData = () => applyCashFlow(applyTaxes(buildChartData(data), settings), settings.cash);
+
+  const handleExportXlsx = () => {
+    try {
+      exportXlsx(exportData(), activeScenario.name);
+    } catch (error) {
+      console.error("Export error:", error);
+      alert('Excelファイルの作成に失敗しました。');
+    }
+  };
+
+  // CSV取込（検証済みのレコードを表示中シナリオにマージ）
+  const handleImport = (records, mode) => {
+    setData(mergeImport(data, records, mode, settings.plans).map(row => recalcRow(row, settings)));
+    setIsImportOpen(false);
+  };
+
+  // 期間の変更（期間外になる月は削除されるので確認する）
+  const handleApplyPeriod = (startMonth, months) => {
+    const resized = resizePeriod(data, startMonth, months, settings.plans, settings.seasonality).map(row => recalcRow(row, settings));
+    const kept = new Set(resized.map(r => r.monthStr));
+    const dropped = data.filter(r => !kept.has(r.monthStr));
+    if (dropped.length > 0 && !window.confirm(`${dropped.length}ヶ月分（${dropped[0].monthStr} など）のデータが期間外となり削除されます。よろしいですか？`)) {
+      return;
+    }
+    setData(resized);
+  };
+
+  const handleExtendPeriod = (n) => {
+    setData(extendPeriod(data, n, settings.plans, settings.seasonality).map(row => recalcRow(row, settings)));
+  };
+
+  // 季節性プロファイルから未締めの月の予約件数を作り直す
+  const handleGenerateForecast = () => {
+    const openMonths = data.filter(row => !row.isClosed).length;
+    if (openMonths === 0) {
+      alert('未締めの月がありません。');
+      return;
+    }
+    if (!window.confirm(`未締めの${openMonths}ヶ月の予約件数を季節性プロファイルから作り直します。手入力した売上・原価は件数×単価に戻ります。よろしいですか？`)) return;
+    setData(generateForecast(data, settings.seasonality, settings.plans).map(row => recalcRow(row, settings)));
+  };
+
+  // シナリオ操作
+  const handleAddScenario = (scenario) => {
+    setScenarios(prev => [...prev, scenario]);
+    setActiveScenarioId(scenario.id);
+  };
+
+  const handleRenameScenario = (id, name) => {
+    setScenarios(prev => prev.map(s => (s.id === id ? { ...s, name } : s)));
+  };
+
+  const handleDeleteScenario = (id) => {
+    const remaining = scenarios.filter(s => s.id !== id);
+    if (remaining.length === 0) return;
+    setScenarios(remaining);
+    setCompareIds(prev => prev.filter(cid => cid !== id));
+    if (id === activeScenario.id) setActiveScenarioId(remaining[0].id);
   };
 
   if (isLoading) {
@@ -162,12 +649,29 @@ const KimonoBusinessSimulator = () => {
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <div className="text-center">
           <Loader2 className="w-10 h-10 animate-spin text-indigo-600 mx-auto mb-4" />
-          <p className="text-gray-500">スプレッドシートからデータを読み込み中...</p>
+          <p className="text-gray-500">{storage.label}からデータを読み込み中...</p>
         </div>
       </div>
     );
   }
 
+  // 印刷用レポート（エクスポートと同じく What-if を含まない保存済みの計画で作る）
+  if (isReportOpen) {
+    const reportRows = exportData();
+    return (
+      <ReportView
+        scenarioName={activeScenario.name}
+        data={data}
+        rows={reportRows}
+        summary={summarize(data, settings)}
+        fiscalYears={summarizeByFiscalYear(reportRows, settings.fiscalYearStartMonth)}
+        settings={settings}
+        onReportChange={handleReportChange}
+        onClose={() => setIsReportOpen(false)}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 text-gray-800 font-sans">
       {/* Header */}
@@ -179,16 +683,32 @@ const KimonoBusinessSimulator = () => {
           </div>
           <div className="flex items-center gap-4">
             <div className="text-sm text-gray-400 hidden md:block">
-              期間: 2025年9月 ～ 2026年12月
+              期間: {formatPeriod(data)}
+            </div>
+            {/* 同期ステータス */}
+            <div
+              className={`text-xs px-2 py-1 rounded flex items-center gap-1 ${SYNC_STATUS[syncStatus].className}`}
+              title={lastSyncedAt ? `最終保存: ${lastSyncedAt.toLocaleString('ja-JP')}` : undefined}
+            >
+              {!isOnline && <WifiOff className="w-3 h-3" />}
+              {SYNC_STATUS[syncStatus].label}
             </div>
+            <button
+              onClick={() => setIsReportOpen(true)}
+              className="flex items-center gap-2 border border-slate-600 hover:bg-slate-800 text-white px-3 py-2 rounded transition-colors"
+              title="銀行・会議向けの印刷用レポート（PDF保存）"
+            >
+              <FileText className="w-4 h-4" />
+              レポート
+            </button>
             {/* 保存ボタンの実装 */}
             <button 
               onClick={handleSave}
-              disabled={isSaving}
+              disabled={syncStatus === 'saving' || !isOnline}
               className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded shadow transition-colors disabled:opacity-50"
             >
-              {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
-              {isSaving ? '保存中...' : 'シートに保存'}
+              {syncStatus === 'saving' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              {syncStatus === 'saving' ? '保存中...' : storage.saveLabel}
             </button>
           </div>
         </div>
@@ -196,11 +716,40 @@ const KimonoBusinessSimulator = () => {
 
       <main className="container mx-auto p-4 space-y-6">
         
+        {/* Sync Conflict / Error */}
+        <SyncBanner
+          status={syncStatus}
+          error={syncError}
+          onReload={handleReloadFromSheet}
+          onForceSave={handleForceSave}
+          onRetry={handleSave}
+        />
+
+        {/* Scenario Selector */}
+        <ScenarioBar
+          scenarios={scenarios}
+          activeScenario={activeScenario}
+          compareIds={compareIds}
+          onSelect={setActiveScenarioId}
+          onAdd={handleAddScenario}
+          onRename={handleRenameScenario}
+          onDelete={handleDeleteScenario}
+          onCompareChange={setCompareIds}
+        />
+
         {/* KPI Dashboard */}
-        <section className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {isWhatIfActive(whatIf) && (
+          <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-3 py-2">
+            ※ What-if 条件を適用した試算値を表示しています（保存データは変更されません）。
+          </div>
+        )}
+        <section className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-4">
           <div className="bg-white p-6 rounded-lg shadow border border-gray-100">
             <h3 className="text-sm font-medium text-gray-500 mb-1">予測合計売上</h3>
             <p className="text-2xl font-bold text-indigo-600">{formatCurrency(summary.sales)}</p>
+            {summary.closedMonths > 0 && (
+              <p className="text-xs text-sky-600 mt-1">うち実績 {summary.closedMonths}ヶ月分</p>
+            )}
           </div>
           <div className="bg-white p-6 rounded-lg shadow border border-gray-100">
             <h3 className="text-sm font-medium text-gray-500 mb-1">予測合計コスト</h3>
@@ -220,8 +769,33 @@ const KimonoBusinessSimulator = () => {
               </p>
             </div>
           </div>
+          <div className="bg-white p-6 rounded-lg shadow border border-gray-100">
+            <h3 className="text-sm font-medium text-gray-500 mb-1">予測経常利益</h3>
+            <p className={`text-2xl font-bold ${summary.ordinaryProfit >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+              {formatCurrency(summary.ordinaryProfit)}
+            </p>
+            {summary.interest > 0 && (
+              <p className="text-xs text-gray-500 mt-1">支払利息 {formatCurrency(summary.interest)}</p>
+            )}
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow border border-gray-100">
+            <h3 className="text-sm font-medium text-gray-500 mb-1">税引後当期純利益</h3>
+            <p className={`text-2xl font-bold ${summary.netProfit >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+              {formatCurrency(summary.netProfit)}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">法人税等 {formatCurrency(summary.corporateTax)}</p>
+          </div>
         </section>
 
+        {/* Fiscal Year KPIs */}
+        <FiscalYearSummary fiscalYears={fiscalYears} />
+
+        {/* Scenario Comparison (2シナリオ以上選択時) */}
+        {isComparing && <ScenarioComparison scenarios={comparedScenarios} />}
+
+        {/* What-if Sliders & Sensitivity */}
+        <WhatIfPanel whatIf={whatIf} tornado={tornado} onChange={setWhatIf} />
+
         {/* Chart 1: Main Sales & Profit Trend */}
         <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
           <div className="flex justify-between items-center mb-6">
@@ -232,27 +806,70 @@ const KimonoBusinessSimulator = () => {
             <div className="flex items-center gap-4 text-xs md:text-sm">
               <div className="flex items-center"><span className="w-3 h-3 bg-indigo-400 inline-block rounded-sm mr-1"></span>売上高</div>
               <div className="flex items-center"><span className="w-3 h-3 bg-emerald-500 inline-block rounded-sm mr-1"></span>営業利益</div>
+              <div className="flex items-center"><span className="w-6 h-0.5 bg-violet-500 inline-block mr-1"></span>損益分岐点</div>
+              {riskBands && (
+                <div className="flex items-center"><span className="w-4 h-3 bg-sky-500/20 inline-block mr-1"></span>営業利益 P10～P90</div>
+              )}
+              {comparedScenarios.slice(1).map(s => (
+                <div key={s.id} className="flex items-center">
+                  <span className="w-6 h-0.5 inline-block mr-1" style={{ backgroundColor: s.color }}></span>{s.name}
+                </div>
+              ))}
             </div>
           </div>
           
           <div className="h-[300px] w-full">
             <ResponsiveContainer width="100%" height="100%">
-              <ComposedChart data={chartData} margin={{ top: 10, right: 10, bottom: 0, left: 10 }}>
+              <ComposedChart data={mainChartData} margin={{ top: 10, right: 10, bottom: 0, left: 10 }}>
                 <CartesianGrid stroke="#f5f5f5" strokeDasharray="3 3" />
                 <XAxis dataKey="monthStr" tick={{fontSize: 12}} angle={-45} textAnchor="end" height={60} />
-                <YAxis tickFormatter={(value) => `${value / 10000}万`} tick={{fontSize: 12}} />
+                <YAxis tickFormatter={formatMan} tick={{fontSize: 12}} />
                 <Tooltip 
-                  formatter={(value, name) => [formatCurrency(value), name === 'sales' ? '売上高' : '営業利益']}
+                  formatter={(value, name) => [
+                    Array.isArray(value) ? `${formatCurrency(value[0])} ～ ${formatCurrency(value[1])}` : formatCurrency(value),
+                    MAIN_CHART_LABELS[name] ?? `営業利益（${name}）`,
+                  ]}
+                  labelFormatter={formatEventLabel}
                   labelStyle={{ color: '#333' }}
                 />
-                <Bar dataKey="sales" name="sales" fill="#818cf8" radius={[4, 4, 0, 0]} barSize={30} />
-                <Line type="monotone" dataKey="operatingProfit" name="operatingProfit" stroke="#10b981" strokeWidth={3} dot={{ r: 4 }} />
+                <Bar dataKey="resultSales" name="resultSales" fill="#818cf8" radius={[4, 4, 0, 0]} barSize={30} />
+                {/* リスク試算の営業利益の幅（P10～P90）と中央値 */}
+                {riskBands && (
+                  <Area type="monotone" dataKey="profitBand" name="profitBand" stroke="none" fill="#0ea5e9" fillOpacity={0.2} />
+                )}
+                {riskBands && (
+                  <Line type="monotone" dataKey="profitP50" name="profitP50" stroke="#0284c7" strokeWidth={1.5} strokeDasharray="4 2" dot={false} />
+                )}
+                <Line type="monotone" dataKey="resultOperatingProfit" name="resultOperatingProfit" stroke="#10b981" strokeWidth={3} dot={{ r: 4 }} />
+                {/* 比較シナリオの営業利益（破線で重ねる） */}
+                {comparedScenarios.slice(1).map(s => (
+                  <Line key={s.id} type="monotone" dataKey={`cmp_${s.id}`} name={s.name} stroke={s.color} strokeWidth={2} strokeDasharray="5 3" dot={{ r: 3 }} connectNulls />
+                ))}
                 <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="3 3" opacity={0.5} />
+                {breakEven.monthlyBreakEvenSales !== null && (
+                  <ReferenceLine y={breakEven.monthlyBreakEvenSales} stroke="#8b5cf6" strokeDasharray="6 3" label={{ value: '損益分岐点（月平均）', position: 'insideTopRight', fontSize: 11, fill: '#8b5cf6' }} />
+                )}
+                {/* イベントのある月 */}
+                {eventMarkers.map(marker => (
+                  <ReferenceLine key={marker.monthStr} x={marker.monthStr} stroke={marker.color} strokeDasharray="2 2" label={{ value: marker.label, position: 'top', fontSize: 10, fill: marker.color }} />
+                ))}
               </ComposedChart>
             </ResponsiveContainer>
           </div>
         </section>
 
+        {/* Break-even Analysis */}
+        <BreakEvenPanel breakEven={breakEven} />
+
+        {/* Store / Channel Breakdown */}
+        <UnitsPanel
+          units={settings.units}
+          sharedCostRule={settings.sharedCostRule}
+          breakdown={unitBreakdown}
+          onUnitsChange={(units) => setSettings({ ...settings, units })}
+          onRuleChange={(sharedCostRule) => setSettings({ ...settings, sharedCostRule })}
+        />
+
         {/* Chart 2: Cumulative Sales vs Cost Comparison */}
         <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
           <div className="flex justify-between items-center mb-6">
@@ -263,10 +880,11 @@ const KimonoBusinessSimulator = () => {
             <div className="flex items-center gap-4 text-xs md:text-sm">
               <div className="flex items-center"><span className="w-8 h-1 bg-indigo-500 inline-block mr-1"></span>累積売上 (Acc Sales)</div>
               <div className="flex items-center"><span className="w-8 h-1 bg-rose-500 inline-block mr-1"></span>累積コスト (Acc Cost)</div>
+              <div className="flex items-center"><span className="w-8 h-1 bg-teal-500 inline-block mr-1"></span>月末現金残高</div>
             </div>
           </div>
           <div className="mb-2 text-xs text-gray-500 text-center">
-            ※ 期間を通じた累積収支です。青線が赤線を上回るポイントが、投資回収（トータル黒字化）ラインとなります。
+            ※ 期間を通じた累積収支です（締め済みの月は実績値）。青線が赤線を上回るポイントが、投資回収（トータル黒字化）ラインとなります。
           </div>
           
           <div className="h-[300px] w-full">
@@ -274,18 +892,87 @@ const KimonoBusinessSimulator = () => {
               <LineChart data={chartData} margin={{ top: 10, right: 10, bottom: 0, left: 10 }}>
                 <CartesianGrid stroke="#f5f5f5" strokeDasharray="3 3" />
                 <XAxis dataKey="monthStr" tick={{fontSize: 12}} angle={-45} textAnchor="end" height={60} />
-                <YAxis tickFormatter={(value) => `${value / 10000}万`} tick={{fontSize: 12}} />
+                <YAxis tickFormatter={formatMan} tick={{fontSize: 12}} />
                 <Tooltip 
-                  formatter={(value, name) => [formatCurrency(value), name === 'accumulatedSales' ? '累積売上' : '累積コスト']}
+                  formatter={(value, name) => [formatCurrency(value), CUMULATIVE_LABELS[name]]}
+                  labelFormatter={formatEventLabel}
                   labelStyle={{ color: '#333' }}
                 />
                 <Line type="monotone" dataKey="accumulatedSales" name="accumulatedSales" stroke="#6366f1" strokeWidth={3} dot={{ r: 4 }} activeDot={{ r: 6 }} />
                 <Line type="monotone" dataKey="accumulatedTotalCost" name="accumulatedTotalCost" stroke="#f43f5e" strokeWidth={3} dot={{ r: 4 }} activeDot={{ r: 6 }} />
+                {/* 資金繰り：月末現金残高（最低残高を割る月は赤い点） */}
+                <Line
+                  type="monotone"
+                  dataKey="cashBalance"
+                  name="cashBalance"
+                  stroke="#14b8a6"
+                  strokeWidth={2}
+                  strokeDasharray="6 3"
+                  dot={({ cx, cy, payload }) => (
+                    <circle key={payload.id} cx={cx} cy={cy} r={payload.isCashShort ? 5 : 3} fill={payload.isCashShort ? '#dc2626' : '#14b8a6'} />
+                  )}
+                />
+                <ReferenceLine y={settings.cash.minCashThreshold} stroke="#dc2626" strokeDasharray="3 3" opacity={0.6} label={{ value: '最低残高', position: 'insideTopLeft', fontSize: 11, fill: '#dc2626' }} />
+                {eventMarkers.map(marker => (
+                  <ReferenceLine key={marker.monthStr} x={marker.monthStr} stroke={marker.color} strokeDasharray="2 2" opacity={0.6} />
+                ))}
               </LineChart>
             </ResponsiveContainer>
           </div>
         </section>
 
+        {/* Monte Carlo Risk Simulation */}
+        <RiskPanel
+          risk={settings.risk}
+          result={riskRun ? riskRun.result : null}
+          progress={riskProgress}
+          error={riskError}
+          isStale={riskRun !== null && !riskBands}
+          onChange={(risk) => setSettings({ ...settings, risk })}
+          onRun={handleRunRisk}
+        />
+
+        {/* Cash Flow Settings & Alerts */}
+        <CashFlowPanel cash={settings.cash} chartData={chartData} onChange={(cash) => setSettings({ ...settings, cash })} />
+
+        {/* Tax & Loans */}
+        <TaxLoanPanel
+          tax={settings.tax}
+          loans={settings.loans}
+          chartData={chartData}
+          onTaxChange={(tax) => setSettings({ ...settings, tax })}
+          onLoansChange={(loans) => setSettings({ ...settings, loans })}
+        />
+
+        {/* Chart 3: Plan vs Actual Operating Profit */}
+        <BudgetActualChart chartData={chartData} />
+
+        {/* Period & Fiscal Year Settings */}
+        <PeriodSettings
+          key={`${activeScenario.id}-${period.startMonth}-${period.months}`}
+          period={period}
+          fiscalYearStartMonth={settings.fiscalYearStartMonth}
+          onApply={handleApplyPeriod}
+          onExtend={handleExtendPeriod}
+          onFiscalYearStartChange={(fiscalYearStartMonth) => setSettings({ ...settings, fiscalYearStartMonth })}
+        />
+
+        {/* Plan Unit Price / Cost Ratio Settings */}
+        <PlanSettings plans={settings.plans} onChange={(plans) => setSettings({ ...settings, plans })} />
+
+        <SeasonalityPanel
+          seasonality={settings.seasonality}
+          data={data}
+          onChange={(seasonality) => setSettings({ ...settings, seasonality })}
+          onGenerate={handleGenerateForecast}
+        />
+
+        <EventsPanel events={settings.events} data={data} onChange={(events) => setSettings({ ...settings, events })} />
+
+        <CostItemsPanel items={settings.costItems} units={settings.units} data={data} onChange={(costItems) => setSettings({ ...settings, costItems })} />
+
+        <AssetsPanel assets={settings.assets} data={data} plans={settings.plans} onChange={(assets) => setSettings({ ...settings, assets })} />
+
         {/* Input Table Section */}
         <section className="bg-white rounded-lg shadow border border-gray-100 overflow-hidden">
           <div className="p-4 border-b border-gray-200 bg-gray-50 flex justify-between items-center">
@@ -293,16 +980,73 @@ const KimonoBusinessSimulator = () => {
               <Calendar className="w-5 h-5 text-indigo-500" />
               月次損益シミュレーション入力
             </h2>
-            <div className="text-xs text-gray-500">
-              ※セルをクリックして直接編集できます
+            <div className="flex items-center gap-4">
+              <div className="text-xs text-gray-500">
+                ※セルをクリックして直接編集できます（売上・原価は件数×単価から自動計算。直接入力した月は<span className="text-amber-700">橙色</span>で表示）。Enter・矢印キーで移動、Shift+矢印で範囲選択、Excel からの範囲の貼り付けもできます
+              </div>
+              <div className="flex items-center gap-1">
+                <button onClick={handleUndo} disabled={history.past.length === 0} className="p-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40" title="元に戻す（Ctrl+Z）">
+                  <Undo2 className="w-4 h-4" />
+                </button>
+                <button onClick={handleRedo} disabled={history.future.length === 0} className="p-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40" title="やり直し（Ctrl+Shift+Z / Ctrl+Y）">
+                  <Redo2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex items-center gap-1">
+                <button onMouseDown={(e) => e.preventDefault()} onClick={() => handleFill('down')} disabled={!selectedRange} className="p-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40" title="下へコピー（Ctrl+D）：選択範囲の先頭の月の値を下の月へ">
+                  <ArrowDownToLine className="w-4 h-4" />
+                </button>
+                <button onMouseDown={(e) => e.preventDefault()} onClick={() => handleFill('right')} disabled={!selectedRange} className="p-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40" title="右へコピー（Ctrl+R）：選択範囲の左端の列の値を右の列へ">
+                  <ArrowRightToLine className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex items-center gap-1">
+                <button onClick={() => exportCsv(exportData(), activeScenario.name)} className="flex items-center gap-1 text-xs px-2 py-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors" title="CSVで出力">
+                  <FileDown className="w-4 h-4" />CSV
+                </button>
+                <button onClick={handleExportXlsx} className="flex items-center gap-1 text-xs px-2 py-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors" title="Excelで出力">
+                  <FileSpreadsheet className="w-4 h-4" />Excel
+                </button>
+                <button onClick={() => setIsImportOpen(true)} className="flex items-center gap-1 text-xs px-2 py-1.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors" title="CSVを取り込む">
+                  <FileUp className="w-4 h-4" />取込
+                </button>
+              </div>
+              <button
+                onClick={() => setShowActuals(!showActuals)}
+                className={`text-xs px-3 py-1.5 rounded border transition-colors ${showActuals ? 'bg-sky-600 text-white border-sky-600' : 'border-gray-300 text-gray-600 hover:bg-gray-100'}`}
+              >
+                予実を{showActuals ? '隠す' : '表示'}
+              </button>
             </div>
           </div>
           
-          <div className="overflow-x-auto">
+          {(gridNotice || warningList.length > 0) && (
+            <div className="flex flex-wrap items-center gap-3 mb-2 text-xs">
+              {warningList.length > 0 && (
+                <span className="flex items-center gap-1 px-2 py-0.5 rounded bg-amber-50 text-amber-700 border border-amber-200" title={warningList.join('\n')}>
+                  <AlertTriangle className="w-3 h-3" />要確認の入力 {warningList.length}件（黄色の枠のセル）
+                </span>
+              )}
+              {gridNotice && <span className="text-gray-500">{gridNotice}</span>}
+            </div>
+          )}
+
+          <div
+            ref={tableRef}
+            className="overflow-x-auto"
+            onKeyDown={handleTableKeyDown}
+            onFocus={handleTableFocus}
+            onMouseDown={(e) => { extendSelectionRef.current = e.shiftKey; }}
+            onPaste={handleTablePaste}
+            onCopy={handleTableCopy}
+          >
             <table className="w-full text-sm text-left">
               <thead className="text-xs text-gray-700 uppercase bg-gray-100 border-b border-gray-200 whitespace-nowrap">
                 <tr>
                   <th className="px-4 py-3 sticky left-0 bg-gray-100 z-10 w-24">年月</th>
+                  {PLAN_DEFS.map(plan => (
+                    <th key={plan.key} className="px-2 py-3 min-w-[70px] text-right text-indigo-500">{plan.label}件数</th>
+                  ))}
                   <th className="px-4 py-3 min-w-[100px] text-right text-indigo-700">売上予測</th>
                   <th className="px-4 py-3 min-w-[100px] text-right text-red-700">売上原価</th>
                   <th className="px-4 py-3 min-w-[100px] text-right">粗利</th>
@@ -312,137 +1056,246 @@ const KimonoBusinessSimulator = () => {
                   <th className="px-2 py-3 min-w-[80px] text-gray-500">スポットメモ</th>
                   <th className="px-4 py-3 min-w-[100px] text-right text-orange-700">人件費</th>
                   <th className="px-2 py-3 min-w-[80px] text-gray-500">人件費メモ</th>
-                  <th className="px-4 py-3 min-w-[100px] text-right font-bold bg-emerald-50">営業利益</th>
-                  <th className="px-4 py-3 min-w-[80px] text-right bg-emerald-50">利益率</th>
+                  {RESULT_HEADERS.map(({ label, className, title }) => (
+                    <th key={label} className={`px-4 py-3 text-right ${className}`} title={title}>{label}</th>
+                  ))}
+                  {showActuals && <ActualHeaders />}
                   <th className="px-4 py-3 min-w-[120px]">全体メモ</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200 whitespace-nowrap">
-                {chartData.map((row) => (
-                  <tr key={row.id} className="hover:bg-gray-50 transition-colors">
-                    <td className="px-4 py-2 font-medium sticky left-0 bg-white z-10 shadow-sm border-r border-gray-200">
-                      {row.monthStr}
-                      {(row.month === 1 || row.month === 3) && (
-                        <span className="ml-2 inline-block w-2 h-2 rounded-full bg-red-400" title="繁忙期"></span>
-                      )}
-                    </td>
+                {tableRows.map((row, rowIndex) => (
+                  <React.Fragment key={row.id}>
+                    <tr className="hover:bg-gray-50 transition-colors">
+                      <td className="px-4 py-2 font-medium sticky left-0 bg-white z-10 shadow-sm border-r border-gray-200">
+                        {settings.costItems.length > 0 && (
+                          <button
+                            onClick={() => setExpandedRowId(expandedRowId === row.id ? null : row.id)}
+                            title="この月の費用明細"
+                            className="mr-1 align-middle text-gray-400 hover:text-orange-600"
+                          >
+                            {expandedRowId === row.id ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                          </button>
+                        )}
+                        {row.monthStr}
+                        {isBusyMonth(settings.seasonality, row.month) && (
+                          <span className="ml-2 inline-block w-2 h-2 rounded-full bg-red-400" title="繁忙期"></span>
+                        )}
+                        {row.input.eventNames && (
+                          <div className="max-w-[120px] truncate text-[10px] font-normal text-rose-600" title={row.input.eventNames}>{row.input.eventNames}</div>
+                        )}
+                      </td>
+
+                      {/* 予約件数入力（ドライバー） */}
+                      {PLAN_DEFS.map(plan => (
+                        <td key={plan.key} className="px-2 py-2 text-right bg-indigo-50/40">
+                          <CellInput
+                            value={row.input[plan.countField]}
+                            column={gridColumnOf(plan.countField)}
+                            rowIndex={rowIndex}
+                            warning={inputWarnings[row.id]?.[plan.countField]}
+                            isSelected={isCellSelected(rowIndex, plan.countField)}
+                            onCommit={(value) => handleInputChange(row.id, plan.countField, value)}
+                            accent="indigo"
+                          />
+                          {row.input[plan.eventCountField] > 0 && (
+                            <div className="text-[10px] text-rose-500" title="イベントの見込み件数（上乗せ）">+{row.input[plan.eventCountField]}</div>
+                          )}
+                        </td>
+                      ))}
+                    
+                      {/* 売上入力（件数×単価から自動計算、直接入力で上書き） */}
+                      <td className="px-2 py-2 text-right">
+                        <div className="flex items-center gap-1">
+                          {row.salesManual && (
+                            <button onClick={() => handleResetOverride(row.id, 'sales')} title="手入力を解除して件数×単価に戻す" className="text-amber-500 hover:text-indigo-600">
+                              <RotateCcw className="w-3 h-3" />
+                            </button>
+                          )}
+                          <CellInput
+                            value={row.input.sales}
+                            column={gridColumnOf('sales')}
+                            rowIndex={rowIndex}
+                            warning={inputWarnings[row.id]?.sales}
+                            isSelected={isCellSelected(rowIndex, 'sales')}
+                            onCommit={(value) => handleInputChange(row.id, 'sales', value)}
+                            accent="indigo"
+                            className={row.salesManual ? 'text-amber-700' : ''}
+                          />
+                        </div>
+                      </td>
+                    
+                      {/* 原価入力（プラン別原価率から自動計算、直接入力で上書き） */}
+                      <td className="px-2 py-2 text-right">
+                        <div className="flex items-center gap-1">
+                          {row.cogsManual && (
+                            <button onClick={() => handleResetOverride(row.id, 'cogs')} title="手入力を解除して原価率計算に戻す" className="text-amber-500 hover:text-red-600">
+                              <RotateCcw className="w-3 h-3" />
+                            </button>
+                          )}
+                          <CellInput
+                            value={row.input.cogs}
+                            column={gridColumnOf('cogs')}
+                            rowIndex={rowIndex}
+                            warning={inputWarnings[row.id]?.cogs}
+                            isSelected={isCellSelected(rowIndex, 'cogs')}
+                            onCommit={(value) => handleInputChange(row.id, 'cogs', value)}
+                            accent="red"
+                            className={row.cogsManual ? 'text-amber-700' : ''}
+                          />
+                        </div>
+                      </td>
                     
-                    {/* 売上入力 */}
-                    <td className="px-2 py-2 text-right">
-                      <input 
-                        type="number" 
-                        value={row.sales} 
-                        onChange={(e) => handleInputChange(row.id, 'sales', Number(e.target.value))}
-                        className="w-full text-right p-1 border border-transparent hover:border-gray-300 focus:border-indigo-500 rounded bg-transparent focus:bg-white focus:ring-1 focus:ring-indigo-500 outline-none"
-                      />
-                    </td>
+                      {/* 粗利 */}
+                      <td className="px-4 py-2 text-right text-gray-600 font-medium bg-gray-50">
+                        {formatCurrency(row.grossProfit)}
+                      </td>
                     
-                    {/* 原価入力 */}
-                    <td className="px-2 py-2 text-right">
-                      <input 
-                        type="number" 
-                        value={row.cogs} 
-                        onChange={(e) => handleInputChange(row.id, 'cogs', Number(e.target.value))}
-                        className="w-full text-right p-1 border border-transparent hover:border-gray-300 focus:border-red-500 rounded bg-transparent focus:bg-white focus:ring-1 focus:ring-red-500 outline-none"
-                      />
-                    </td>
+                      {/* 費用入力（内訳のあるカテゴリは明細の合計を表示） */}
+                      {COST_CATEGORIES.map(cat => (
+                        <React.Fragment key={cat.key}>
+                          <td className="px-2 py-2 text-right">
+                            {itemizedCostCategories.has(cat.key) ? (
+                              <button
+                                onClick={() => setExpandedRowId(expandedRowId === row.id ? null : row.id)}
+                                title="内訳から自動計算（クリックで明細を表示）"
+                                className="w-full text-right p-1 text-orange-800 hover:underline"
+                              >
+                                {row.input[cat.key].toLocaleString()}
+                              </button>
+                            ) : (
+                              <CellInput
+                                value={row.input[cat.key]}
+                                column={gridColumnOf(cat.key)}
+                                rowIndex={rowIndex}
+                                warning={inputWarnings[row.id]?.[cat.key]}
+                                isSelected={isCellSelected(rowIndex, cat.key)}
+                                onCommit={(value) => handleInputChange(row.id, cat.key, value)}
+                                accent="orange"
+                              />
+                            )}
+                            {cat.key === 'personnel' && row.input.eventPersonnel > 0 && (
+                              <div className="text-[10px] text-rose-500" title="イベントの応援スタッフ分（上乗せ）">+{row.input.eventPersonnel.toLocaleString()}</div>
+                            )}
+                          </td>
+                          <td className="px-2 py-2">
+                            {itemizedCostCategories.has(cat.key) ? (
+                              <span className="block max-w-[160px] truncate p-1 text-gray-500 text-xs" title={row.input[cat.memoField]}>
+                                {row.input[cat.memoField]}
+                              </span>
+                            ) : (
+                              <CellInput
+                                value={row.input[cat.memoField]}
+                                column={gridColumnOf(cat.memoField)}
+                                rowIndex={rowIndex}
+                                isSelected={isCellSelected(rowIndex, cat.memoField)}
+                                onCommit={(value) => handleInputChange(row.id, cat.memoField, value)}
+                                placeholder="内訳"
+                              />
+                            )}
+                          </td>
+                        </React.Fragment>
+                      ))}
                     
-                    {/* 粗利 */}
-                    <td className="px-4 py-2 text-right text-gray-600 font-medium bg-gray-50">
-                      {formatCurrency(row.grossProfit)}
-                    </td>
+                      {/* 減価償却費（着物在庫から自動計算） */}
+                      <td className="px-4 py-2 text-right text-purple-800" title={row.input.assetPurchase > 0 ? `在庫購入 ${formatCurrency(row.input.assetPurchase)}` : undefined}>
+                        {row.depreciation.toLocaleString()}
+                      </td>
+
+                      {/* 営業利益（締めた月は実績。計画値はツールチップに） */}
+                      <td
+                        className={`px-4 py-2 text-right font-bold bg-emerald-50 ${row.resultOperatingProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}
+                        title={row.isClosed ? `実績（計画 ${formatCurrency(row.operatingProfit)}）` : undefined}
+                      >
+                        {formatCurrency(row.resultOperatingProfit)}
+                      </td>
                     
-                    {/* 固定費入力 */}
-                    <td className="px-2 py-2 text-right">
-                      <input 
-                        type="number" 
-                        value={row.fixedCost} 
-                        onChange={(e) => handleInputChange(row.id, 'fixedCost', Number(e.target.value))}
-                        className="w-full text-right p-1 border border-transparent hover:border-gray-300 focus:border-orange-500 rounded bg-transparent focus:bg-white focus:ring-1 focus:ring-orange-500 outline-none"
-                      />
-                    </td>
-                    {/* 固定費メモ入力 */}
-                    <td className="px-2 py-2">
-                      <input 
-                        type="text" 
-                        value={row.fixedCostMemo} 
-                        onChange={(e) => handleInputChange(row.id, 'fixedCostMemo', e.target.value)}
-                        placeholder="内訳"
-                        className="w-full p-1 border border-transparent hover:border-gray-300 focus:border-gray-400 rounded bg-transparent focus:bg-white text-gray-500 text-xs outline-none"
-                      />
-                    </td>
-
-                    {/* スポット費用入力 */}
-                    <td className="px-2 py-2 text-right">
-                      <input 
-                        type="number" 
-                        value={row.spotCost} 
-                        onChange={(e) => handleInputChange(row.id, 'spotCost', Number(e.target.value))}
-                        className="w-full text-right p-1 border border-transparent hover:border-gray-300 focus:border-orange-500 rounded bg-transparent focus:bg-white focus:ring-1 focus:ring-orange-500 outline-none"
-                      />
-                    </td>
-                    {/* スポット費用メモ入力 */}
-                    <td className="px-2 py-2">
-                      <input 
-                        type="text" 
-                        value={row.spotCostMemo} 
-                        onChange={(e) => handleInputChange(row.id, 'spotCostMemo', e.target.value)}
-                        placeholder="内訳"
-                        className="w-full p-1 border border-transparent hover:border-gray-300 focus:border-gray-400 rounded bg-transparent focus:bg-white text-gray-500 text-xs outline-none"
-                      />
-                    </td>
-
-                    {/* 人件費入力 */}
-                    <td className="px-2 py-2 text-right">
-                      <input 
-                        type="number" 
-                        value={row.personnel} 
-                        onChange={(e) => handleInputChange(row.id, 'personnel', Number(e.target.value))}
-                        className="w-full text-right p-1 border border-transparent hover:border-gray-300 focus:border-orange-500 rounded bg-transparent focus:bg-white focus:ring-1 focus:ring-orange-500 outline-none"
-                      />
-                    </td>
-                    {/* 人件費メモ入力 */}
-                    <td className="px-2 py-2">
-                      <input 
-                        type="text" 
-                        value={row.personnelMemo} 
-                        onChange={(e) => handleInputChange(row.id, 'personnelMemo', e.target.value)}
-                        placeholder="内訳"
-                        className="w-full p-1 border border-transparent hover:border-gray-300 focus:border-gray-400 rounded bg-transparent focus:bg-white text-gray-500 text-xs outline-none"
-                      />
-                    </td>
+                      {/* 利益率 */}
+                      <td
+                        className={`px-4 py-2 text-right bg-emerald-50 ${Number(row.resultProfitMargin) >= 10 ? 'text-emerald-700' : 'text-amber-600'}`}
+                        title={row.isClosed ? `実績（計画 ${row.profitMargin}%）` : undefined}
+                      >
+                        {row.resultProfitMargin}%
+                      </td>
                     
-                    {/* 営業利益 */}
-                    <td className={`px-4 py-2 text-right font-bold bg-emerald-50 ${row.operatingProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>
-                      {formatCurrency(row.operatingProfit)}
-                    </td>
+                      {/* 支払利息・経常利益・法人税等・税引後利益 */}
+                      <td className="px-4 py-2 text-right text-gray-600">{formatCurrency(row.interest)}</td>
+                      <td className={`px-4 py-2 text-right bg-lime-50 ${row.ordinaryProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>
+                        {formatCurrency(row.ordinaryProfit)}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-600">{formatCurrency(row.corporateTax)}</td>
+                      <td className={`px-4 py-2 text-right font-bold bg-lime-50 ${row.netProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>
+                        {formatCurrency(row.netProfit)}
+                      </td>
+
+                      {/* 税の受け払い・納付と借入・返済による入出金 */}
+                      <td
+                        className={`px-4 py-2 text-right bg-teal-50 ${row.taxLoanCashFlow < 0 ? 'text-red-600' : 'text-teal-700'}`}
+                        title={`消費税の受け払い ${formatCurrency(row.transactionTaxCash)} / 納付 ${formatCurrency(-row.taxPayment)} / 借入 ${formatCurrency(row.loanBorrowed)} / 返済（元金＋利息） ${formatCurrency(-(row.loanPrincipal + row.interest))}`}
+                      >
+                        {formatCurrency(row.taxLoanCashFlow)}
+                      </td>
+
+                      {/* 月末現金残高 */}
+                      <td className={`px-4 py-2 text-right bg-teal-50 ${row.isCashShort ? 'text-red-600 font-bold' : 'text-teal-700'}`} title={row.isCashShort ? '最低現金残高を下回っています' : undefined}>
+                        {formatCurrency(row.cashBalance)}
+                      </td>
                     
-                    {/* 利益率 */}
-                    <td className={`px-4 py-2 text-right bg-emerald-50 ${Number(row.profitMargin) >= 10 ? 'text-emerald-700' : 'text-amber-600'}`}>
-                      {row.profitMargin}%
-                    </td>
+                      {/* 予実（締め・実績入力・差異） */}
+                      {showActuals && (
+                        <ActualCells
+                          row={row}
+                          rowIndex={rowIndex}
+                          warnings={inputWarnings[row.id]}
+                          isSelected={(field) => isCellSelected(rowIndex, field)}
+                          onChange={handleInputChange}
+                          onToggleClosed={handleToggleClosed}
+                        />
+                      )}
                     
-                    {/* 全体メモ入力 */}
-                    <td className="px-2 py-2">
-                      <input 
-                        type="text" 
-                        value={row.memo} 
-                        onChange={(e) => handleInputChange(row.id, 'memo', e.target.value)}
-                        placeholder="イベント等"
-                        className="w-full p-1 border border-transparent hover:border-gray-300 focus:border-gray-400 rounded bg-transparent focus:bg-white text-gray-500 text-xs outline-none"
-                      />
-                    </td>
-                  </tr>
+                      {/* 全体メモ入力 */}
+                      <td className="px-2 py-2">
+                        <CellInput
+                          value={row.input.memo}
+                          column={gridColumnOf('memo')}
+                          rowIndex={rowIndex}
+                          isSelected={isCellSelected(rowIndex, 'memo')}
+                          onCommit={(value) => handleInputChange(row.id, 'memo', value)}
+                          placeholder="メモ"
+                        />
+                      </td>
+                    </tr>
+                    {expandedRowId === row.id && settings.costItems.length > 0 && (
+                      <CostBreakdownRow monthStr={row.monthStr} items={settings.costItems} columnCount={tableColumnCount} />
+                    )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
           </div>
         </section>
+
+        {/* Edit History & Snapshots */}
+        <HistoryPanel
+          history={history}
+          scenarios={scenarios}
+          activeScenario={activeScenario}
+          snapshots={snapshots}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          onSaveSnapshot={handleSaveSnapshot}
+          onRestoreSnapshot={handleRestoreSnapshot}
+          onDeleteSnapshot={handleDeleteSnapshot}
+        />
         
         <div className="text-center text-xs text-gray-400 pb-8">
-          ※ Google Spreadsheetsと連携中。データは自動保存されません。「シートに保存」ボタンを押してください。
+          ※ {storage.label}と連携中。編集内容はこの端末に自動保存され、オンライン時は数秒後に保存先へも自動保存されます。
         </div>
       </main>
+
+      {isImportOpen && (
+        <CsvImportDialog data={data} itemized={itemizedCostCategories} onImport={handleImport} onClose={() => setIsImportOpen(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ACTUAL_FIELDS } from '../lib/actuals';
+import { gridColumnOf } from '../lib/grid';
+import { formatCurrency } from '../lib/format';
+import CellInput from './CellInput';
+
+// 入力テーブルの予実列（締めチェック・実績入力・差異）
+// 差異の色はコストのみ逆（実績が計画を上回ると悪化）
+const VARIANCE_COLUMNS = [
+  { key: 'salesVariance', label: '売上差異', higherIsBetter: true },
+  { key: 'costVariance', label: 'コスト差異', higherIsBetter: false },
+  { key: 'profitVariance', label: '営業利益差異', higherIsBetter: true },
+];
+
+// 予実を表示しているときに増える列の数（締め・実績入力・差異）
+export const ACTUAL_COLUMN_COUNT = 1 + ACTUAL_FIELDS.length + VARIANCE_COLUMNS.length;
+
+export const ActualHeaders = () => (
+  <>
+    <th className="px-2 py-3 text-center bg-sky-50">締め</th>
+    {ACTUAL_FIELDS.map(({ actualField, label }) => (
+      <th key={actualField} className="px-4 py-3 min-w-[100px] text-right bg-sky-50 text-sky-700">実績{label}</th>
+    ))}
+    {VARIANCE_COLUMNS.map(({ key, label }) => (
+      <th key={key} className="px-4 py-3 min-w-[110px] text-right bg-sky-50">{label}</th>
+    ))}
+  </>
+);
+
+// warnings はその月の注意表示、isSelected(項目) は範囲選択に含まれるか
+export const ActualCells = ({ row, rowIndex, warnings = {}, isSelected, onChange, onToggleClosed }) => (
+  <>
+    <td className="px-2 py-2 text-center bg-sky-50/60">
+      <input
+        type="checkbox"
+        checked={row.isClosed}
+        onChange={(e) => onToggleClosed(row.id, e.target.checked)}
+        title="月次を締めて実績値を採用"
+        className="accent-sky-600"
+      />
+    </td>
+    {ACTUAL_FIELDS.map(({ actualField }) => (
+      <td key={actualField} className="px-2 py-2 text-right bg-sky-50/60">
+        <CellInput
+          value={row[actualField]}
+          column={gridColumnOf(actualField)}
+          rowIndex={rowIndex}
+          disabled={!row.isClosed}
+          warning={warnings[actualField]}
+          isSelected={isSelected(actualField)}
+          onCommit={(value) => onChange(row.id, actualField, value)}
+          accent="sky"
+        />
+      </td>
+    ))}
+    {VARIANCE_COLUMNS.map(({ key, higherIsBetter }) => {
+      const v = row[key];
+      if (!v) return <td key={key} className="px-4 py-2 text-right text-gray-300 bg-sky-50/60">-</td>;
+      const isGood = higherIsBetter ? v.amount >= 0 : v.amount <= 0;
+      return (
+        <td key={key} className={`px-4 py-2 text-right bg-sky-50/60 ${isGood ? 'text-emerald-700' : 'text-red-600'}`}>
+          <div>{v.amount > 0 ? '+' : ''}{formatCurrency(v.amount)}</div>
+          {v.rate !== null && <div className="text-xs">{v.amount > 0 ? '+' : ''}{v.rate}%</div>}
+        </td>
+      );
+    })}
+  </>
+);
@@ -0,0 +1,175 @@
+import React from 'react';
+import { Shirt, Plus, Trash2 } from 'lucide-react';
+import { ASSET_TYPES, DEPRECIATION_METHODS, createAsset, depreciationSchedule, buildAssetUtilization } from '../lib/assets';
+import { formatCurrency } from '../lib/format';
+
+const INPUT_CLASS = 'p-1 border border-gray-300 rounded focus:border-purple-500 focus:ring-1 focus:ring-purple-500 outline-none';
+
+// 着物在庫の購入（取得価額・耐用年数・償却方法）と、在庫ごとの稼働・投資回収
+// 購入額は購入月の支出として資金繰りに、減価償却費は毎月の費用として損益に入る
+const AssetsPanel = ({ assets, data, plans, onChange }) => {
+  const utilization = buildAssetUtilization(assets, data, plans);
+  const periodDepreciation = data.reduce((acc, row) => acc + (Number(row.depreciation) || 0), 0);
+  const periodPurchases = data.reduce((acc, row) => acc + (Number(row.assetPurchase) || 0), 0);
+
+  const handleChange = (id, field, value) => {
+    onChange(assets.map(asset => (asset.id === id ? { ...asset, [field]: value } : asset)));
+  };
+
+  const handleAdd = () => {
+    onChange([...assets, createAsset('furisode', data.length > 0 ? data[0].monthStr : '')]);
+  };
+
+  const handleDelete = (id) => {
+    onChange(assets.filter(asset => asset.id !== id));
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <Shirt className="w-5 h-5 text-purple-500" />
+          着物在庫・減価償却
+        </h2>
+        <button
+          onClick={handleAdd}
+          className="flex items-center gap-1 px-3 py-1.5 rounded border border-purple-200 text-sm text-purple-700 hover:bg-purple-50 transition-colors"
+        >
+          <Plus className="w-4 h-4" />購入を追加
+        </button>
+      </div>
+
+      {assets.length === 0 ? (
+        <p className="text-sm text-gray-400">振袖・袴・小物の購入を登録すると、購入額を耐用年数で按分した減価償却費が毎月の費用になります。</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm whitespace-nowrap">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="py-1 pr-2 font-normal">名称</th>
+                  <th className="py-1 pr-2 font-normal">種類</th>
+                  <th className="py-1 pr-2 font-normal text-right">点数</th>
+                  <th className="py-1 pr-2 font-normal text-right">購入額（合計・円）</th>
+                  <th className="py-1 pr-2 font-normal">購入月</th>
+                  <th className="py-1 pr-2 font-normal text-right">耐用年数</th>
+                  <th className="py-1 pr-2 font-normal">償却方法</th>
+                  <th className="py-1 pr-2 font-normal text-right">初月の償却費</th>
+                  <th className="py-1 font-normal"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {assets.map(asset => (
+                  <tr key={asset.id}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={asset.name}
+                        onChange={(e) => handleChange(asset.id, 'name', e.target.value)}
+                        placeholder="例：古典柄振袖"
+                        className={`w-40 ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select value={asset.type} onChange={(e) => handleChange(asset.id, 'type', e.target.value)} className={INPUT_CLASS}>
+                        {ASSET_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        value={asset.quantity}
+                        onChange={(e) => handleChange(asset.id, 'quantity', Number(e.target.value))}
+                        className={`w-16 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="10000"
+                        value={asset.cost}
+                        onChange={(e) => handleChange(asset.id, 'cost', Number(e.target.value))}
+                        className={`w-32 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="month"
+                        value={asset.purchaseMonth}
+                        onChange={(e) => handleChange(asset.id, 'purchaseMonth', e.target.value)}
+                        className={INPUT_CLASS}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={asset.usefulLifeYears}
+                        onChange={(e) => handleChange(asset.id, 'usefulLifeYears', Number(e.target.value))}
+                        className={`w-16 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select value={asset.method} onChange={(e) => handleChange(asset.id, 'method', e.target.value)} className={INPUT_CLASS}>
+                        {DEPRECIATION_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2 text-right text-gray-600">{formatCurrency(depreciationSchedule(asset)[0] ?? 0)}</td>
+                    <td className="py-1 text-right">
+                      <button onClick={() => handleDelete(asset.id)} title="削除" className="text-gray-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-sm text-gray-600 mt-3">
+            期間中の減価償却費: <span className="font-bold text-purple-700">{formatCurrency(periodDepreciation)}</span>
+            <span className="ml-4">期間中の購入支出: <span className="font-bold text-teal-700">{formatCurrency(periodPurchases)}</span></span>
+          </p>
+
+          <h3 className="text-sm font-medium text-gray-600 mt-6 mb-1">稼働・投資回収（計画期間内）</h3>
+          <p className="text-xs text-gray-500 mb-2">各月のレンタル件数（イベント分を含む）を保有点数の比で在庫に割り振り、レンタルの粗利（単価×（1－原価率））で購入額を回収できる月を求めています。</p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm whitespace-nowrap">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="py-1 pr-2 font-normal">名称</th>
+                  <th className="py-1 pr-2 font-normal text-right">保有月数</th>
+                  <th className="py-1 pr-2 font-normal text-right">レンタル件数</th>
+                  <th className="py-1 pr-2 font-normal text-right">1点あたり月間稼働</th>
+                  <th className="py-1 pr-2 font-normal text-right">粗利</th>
+                  <th className="py-1 pr-2 font-normal text-right">回収率</th>
+                  <th className="py-1 font-normal text-right">回収月</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {utilization.map(item => (
+                  <tr key={item.id}>
+                    <td className="py-1 pr-2">{item.name || ASSET_TYPES.find(t => t.key === item.type)?.label}</td>
+                    <td className="py-1 pr-2 text-right">{item.monthsHeld}</td>
+                    <td className="py-1 pr-2 text-right">{item.rentals.toFixed(1)}</td>
+                    <td className="py-1 pr-2 text-right">{item.rentalsPerPieceMonth.toFixed(2)}回</td>
+                    <td className="py-1 pr-2 text-right">{formatCurrency(item.grossProfit)}</td>
+                    <td className={`py-1 pr-2 text-right ${item.recoveryRate !== null && item.recoveryRate >= 1 ? 'text-emerald-700' : 'text-amber-600'}`}>
+                      {item.recoveryRate === null ? '-' : `${(item.recoveryRate * 100).toFixed(0)}%`}
+                    </td>
+                    <td className="py-1 text-right">{item.paybackMonth ?? <span className="text-gray-400">期間内は未回収</span>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default AssetsPanel;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Scale } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+
+const formatRatio = (ratio) => (ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`);
+const formatAmount = (value) => (value === null ? '-' : formatCurrency(value));
+
+// 赤字月の「黒字化に必要な売上増」（売上がない月・限界利益がマイナスの月は損益分岐点がないので理由を出す）
+const lossLabel = (m) => {
+  if (m.hasNoSales) return '売上なし';
+  if (m.breakEvenSales === null) return '限界利益がマイナス';
+  return formatCurrency(m.shortfall);
+};
+
+// 損益分岐点分析（期間合計のサマリーと月別の一覧）
+const BreakEvenPanel = ({ breakEven }) => {
+  const { total, months } = breakEven;
+
+  const cards = [
+    { label: '限界利益率', value: formatRatio(total.cmRatio) },
+    { label: '損益分岐点売上（期間）', value: formatAmount(total.breakEvenSales) },
+    { label: '安全余裕額', value: formatAmount(total.safetyMargin), isNegative: total.safetyMargin !== null && total.safetyMargin < 0 },
+    { label: '安全余裕率', value: formatRatio(total.safetyMarginRate), isNegative: total.safetyMarginRate !== null && total.safetyMarginRate < 0 },
+  ];
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <h2 className="text-lg font-bold flex items-center gap-2 mb-4">
+        <Scale className="w-5 h-5 text-violet-500" />
+        損益分岐点分析
+      </h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {cards.map(card => (
+          <div key={card.label} className="border border-gray-200 rounded p-3">
+            <h3 className="text-xs font-medium text-gray-500 mb-1">{card.label}</h3>
+            <p className={`text-lg font-bold ${card.isNegative ? 'text-red-600' : 'text-violet-700'}`}>{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm whitespace-nowrap">
+          <thead className="text-xs text-gray-700 bg-gray-100 border-b border-gray-200">
+            <tr>
+              <th className="px-4 py-2 text-left">年月</th>
+              <th className="px-4 py-2 text-right">限界利益率</th>
+              <th className="px-4 py-2 text-right">損益分岐点売上</th>
+              <th className="px-4 py-2 text-right">安全余裕額</th>
+              <th className="px-4 py-2 text-right">安全余裕率</th>
+              <th className="px-4 py-2 text-right">黒字化に必要な売上増</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {months.map(m => (
+              <tr key={m.id} className={m.isLoss ? 'bg-red-50/60' : ''}>
+                <td className="px-4 py-1.5 font-medium">{m.monthStr}</td>
+                <td className="px-4 py-1.5 text-right">{formatRatio(m.cmRatio)}</td>
+                <td className="px-4 py-1.5 text-right">{formatAmount(m.breakEvenSales)}</td>
+                <td className={`px-4 py-1.5 text-right ${m.safetyMargin !== null && m.safetyMargin < 0 ? 'text-red-600' : ''}`}>{formatAmount(m.safetyMargin)}</td>
+                <td className="px-4 py-1.5 text-right">{formatRatio(m.safetyMarginRate)}</td>
+                <td className="px-4 py-1.5 text-right text-red-600 font-medium">
+                  {m.isLoss ? lossLabel(m) : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default BreakEvenPanel;
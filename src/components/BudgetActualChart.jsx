@@ -0,0 +1,48 @@
+import React from 'react';
+import { ComposedChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { ClipboardCheck } from 'lucide-react';
+import { formatCurrency, formatMan } from '../lib/format';
+
+// 計画と実績の営業利益を月ごとに並べる（実績は締め済みの月のみ）
+const BudgetActualChart = ({ chartData }) => {
+  const closedCount = chartData.filter(r => r.isClosed).length;
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <ClipboardCheck className="w-5 h-5 text-sky-500" />
+          予実比較（営業利益）
+        </h2>
+        <div className="flex items-center gap-4 text-xs md:text-sm">
+          <div className="flex items-center"><span className="w-3 h-3 bg-gray-300 inline-block rounded-sm mr-1"></span>計画</div>
+          <div className="flex items-center"><span className="w-3 h-3 bg-sky-500 inline-block rounded-sm mr-1"></span>実績</div>
+        </div>
+      </div>
+      {closedCount === 0 && (
+        <div className="mb-2 text-xs text-gray-500 text-center">
+          ※ 締め済みの月がまだありません。入力テーブルの「予実」から月を締めて実績を入力してください。
+        </div>
+      )}
+
+      <div className="h-[260px] w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 10, right: 10, bottom: 0, left: 10 }}>
+            <CartesianGrid stroke="#f5f5f5" strokeDasharray="3 3" />
+            <XAxis dataKey="monthStr" tick={{fontSize: 12}} angle={-45} textAnchor="end" height={60} />
+            <YAxis tickFormatter={formatMan} tick={{fontSize: 12}} />
+            <Tooltip 
+              formatter={(value, name) => [formatCurrency(value), name === 'operatingProfit' ? '計画 営業利益' : '実績 営業利益']}
+              labelStyle={{ color: '#333' }}
+            />
+            <Bar dataKey="operatingProfit" name="operatingProfit" fill="#d1d5db" radius={[4, 4, 0, 0]} barSize={18} />
+            <Bar dataKey="actualOperatingProfit" name="actualOperatingProfit" fill="#0ea5e9" radius={[4, 4, 0, 0]} barSize={18} />
+            <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="3 3" opacity={0.5} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </section>
+  );
+};
+
+export default BudgetActualChart;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Wallet, AlertTriangle } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+
+const FIELDS = [
+  { key: 'openingBalance', label: '期首現金残高（円）', step: 100000 },
+  { key: 'minCashThreshold', label: '最低現金残高アラート（円）', step: 100000 },
+  { key: 'depositRate', label: '前受金の割合（%）', min: 0, max: 100 },
+  { key: 'depositLeadMonths', label: '前受金の受取（何ヶ月前）', min: 0 },
+  { key: 'collectionLagMonths', label: '残金の回収（何ヶ月後）', min: 0 },
+  { key: 'cogsPaymentOffset', label: '仕入の支払（月ずれ・前払いはマイナス）' },
+];
+
+// 資金繰り設定と、最低残高を割り込む月の警告
+const CashFlowPanel = ({ cash, chartData, onChange }) => {
+  const shortMonths = chartData.filter(r => r.isCashShort);
+  const lowest = chartData.reduce((min, r) => (min === null || r.cashBalance < min.cashBalance ? r : min), null);
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <h2 className="text-lg font-bold flex items-center gap-2 mb-4">
+        <Wallet className="w-5 h-5 text-teal-500" />
+        資金繰り設定
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-3 mb-4">
+        {FIELDS.map(({ key, label, ...inputProps }) => (
+          <label key={key} className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-gray-500">{label}</span>
+            <input
+              type="number"
+              {...inputProps}
+              value={cash[key]}
+              onChange={(e) => onChange({ ...cash, [key]: Number(e.target.value) })}
+              className="w-32 text-right p-1 border border-gray-300 rounded focus:border-teal-500 focus:ring-1 focus:ring-teal-500 outline-none"
+            />
+          </label>
+        ))}
+      </div>
+
+      {lowest && (
+        <p className="text-sm text-gray-600">
+          期間中の最低残高: <span className={`font-bold ${lowest.isCashShort ? 'text-red-600' : 'text-teal-700'}`}>{formatCurrency(lowest.cashBalance)}</span>（{lowest.monthStr}）
+        </p>
+      )}
+
+      {shortMonths.length > 0 && (
+        <div className="mt-3 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">
+          <div className="flex items-center gap-2 font-bold mb-1">
+            <AlertTriangle className="w-4 h-4" />
+            月末現金残高が {formatCurrency(cash.minCashThreshold)} を下回る月があります
+          </div>
+          <ul className="list-disc list-inside">
+            {shortMonths.map(r => (
+              <li key={r.id}>{r.monthStr}: {formatCurrency(r.cashBalance)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CashFlowPanel;
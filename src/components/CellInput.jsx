@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { parseCellInput, formatCellValue } from '../lib/grid';
+
+// フォーカス時の枠の色（列の色に合わせる）
+const ACCENT_CLASSES = {
+  indigo: 'focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500',
+  red: 'focus:border-red-500 focus:ring-1 focus:ring-red-500',
+  orange: 'focus:border-orange-500 focus:ring-1 focus:ring-orange-500',
+  sky: 'focus:border-sky-500 focus:ring-1 focus:ring-sky-500',
+  gray: 'focus:border-gray-400',
+};
+
+// 入力テーブルの1セル（数値は桁区切りで表示し、「¥1,234」「12万」などの入力も読む）
+// 正しい値は入力のたびに反映し、読めない値は反映せずにその場でエラーを出す（フォーカスを外すと元の値に戻る）
+// 矢印キー・Enter での移動や範囲の貼り付けは App の表全体で扱うので、data-grid-* で位置を持たせる
+const CellInput = ({ value, column, rowIndex, onCommit, accent = 'gray', warning, isSelected, disabled, placeholder, className = '' }) => {
+  // 入力途中の文字列（value は反映済みの値。元に戻すなどで外から値が変わったら下書きは使わない）
+  const [draft, setDraft] = useState(null);
+  const [isFocused, setIsFocused] = useState(false);
+  const isText = column.kind === 'text';
+  const isDraftShown = draft !== null && draft.value === value;
+  const text = isDraftShown ? draft.text : formatCellValue(value, column);
+  const error = isDraftShown ? draft.error : '';
+
+  const handleChange = (e) => {
+    const parsed = parseCellInput(e.target.value, column);
+    if (parsed.error) {
+      setDraft({ text: e.target.value, value, error: parsed.error });
+      return;
+    }
+    setDraft({ text: e.target.value, value: parsed.value, error: '' });
+    if (parsed.value !== value) onCommit(parsed.value);
+  };
+
+  const hint = !isText && isFocused && !error && Number(value) >= 10000 ? `${(Number(value) / 10000).toLocaleString('ja-JP', { maximumFractionDigits: 1 })}万円` : '';
+  const borderClass = error ? 'border-red-500' : (warning ? 'border-amber-400' : 'border-transparent hover:border-gray-300');
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        inputMode={isText ? undefined : 'numeric'}
+        value={text}
+        disabled={disabled}
+        placeholder={placeholder}
+        title={error || warning || undefined}
+        data-grid-row={rowIndex}
+        data-grid-field={column.field}
+        onChange={handleChange}
+        onFocus={(e) => {
+          setIsFocused(true);
+          e.target.select();
+        }}
+        onBlur={() => {
+          setIsFocused(false);
+          setDraft(null);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setDraft(null);
+        }}
+        className={`w-full p-1 border rounded outline-none focus:bg-white ${isSelected ? 'bg-sky-100' : 'bg-transparent'} ${isText ? 'text-gray-500 text-xs' : 'text-right disabled:text-gray-300'} ${borderClass} ${ACCENT_CLASSES[accent]} ${className}`}
+      />
+      {(error || hint) && (
+        <div className={`absolute right-0 top-full z-20 mt-0.5 px-1 rounded shadow text-[10px] whitespace-nowrap ${error ? 'bg-red-50 text-red-600' : 'bg-white text-gray-500'}`}>
+          {error || hint}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CellInput;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { COST_CATEGORIES, itemsForMonth, itemMonthlyAmount } from '../lib/costItems';
+import { formatCurrency } from '../lib/format';
+
+// 入力表の月の下に開く、その月に計上される費用明細（columnCount は入力表の列数。年月列の右の全列にまたがる）
+const CostBreakdownRow = ({ monthStr, items, columnCount }) => (
+  <tr className="bg-orange-50/40">
+    <td className="sticky left-0 bg-orange-50 z-10 border-r border-gray-200"></td>
+    <td colSpan={columnCount - 1} className="px-4 py-3">
+      <div className="flex flex-wrap gap-8 text-xs">
+        {COST_CATEGORIES.map(cat => {
+          const monthItems = itemsForMonth(items, cat.key, monthStr);
+          return (
+            <div key={cat.key} className="min-w-[180px]">
+              <div className="font-medium text-orange-700 mb-1">{cat.label}</div>
+              {monthItems.length === 0 ? (
+                <div className="text-gray-400">明細なし</div>
+              ) : (
+                <ul className="space-y-0.5">
+                  {monthItems.map(item => (
+                    <li key={item.id} className="flex justify-between gap-4">
+                      <span className="text-gray-600">
+                        {item.name || '（名称未設定）'}
+                        {item.kind === 'oneOff' && <span className="ml-1 text-gray-400">単発</span>}
+                      </span>
+                      <span>{formatCurrency(itemMonthlyAmount(item))}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </td>
+  </tr>
+);
+
+export default CostBreakdownRow;
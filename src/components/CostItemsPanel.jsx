@@ -0,0 +1,206 @@
+import React from 'react';
+import { ListTree, Plus, Trash2 } from 'lucide-react';
+import { COST_CATEGORIES, createCostItem, itemMonthlyAmount, itemsFromMonthlyValues, countMonthlyMemos } from '../lib/costItems';
+import { formatCurrency } from '../lib/format';
+
+const INPUT_CLASS = 'p-1 border border-gray-300 rounded focus:border-orange-500 focus:ring-1 focus:ring-orange-500 outline-none';
+
+// 費用の内訳（家賃・光熱費・広告・スタッフごとの人件費などの明細）
+// 明細が1件でもあるカテゴリは、入力表の月次の値が明細の合計になる
+// 店舗・チャネルがあるときは、明細ごとにどの拠点の直接費かを選べる（未選択は共通費）
+const CostItemsPanel = ({ items, units, data, onChange }) => {
+  const months = data.map(row => row.monthStr);
+
+  const handleChange = (id, field, value) => {
+    onChange(items.map(item => (item.id === id ? { ...item, [field]: value } : item)));
+  };
+
+  // 最初の明細を足すと月次の値とメモが明細から作り直されるので、手入力のメモがあれば確認する
+  const handleAdd = (category) => {
+    const isFirst = !items.some(item => item.category === category);
+    const memoCount = isFirst ? countMonthlyMemos(data, category) : 0;
+    if (memoCount > 0 && !window.confirm(`${memoCount}ヶ月分の月次のメモが明細名で置き換わります。続けますか？（「月次の値から内訳を作成」ならメモを明細名に引き継ぎます）`)) return;
+    onChange([...items, createCostItem(category)]);
+  };
+
+  const handleDelete = (id) => {
+    onChange(items.filter(item => item.id !== id));
+  };
+
+  // 手入力済みの月次の値を明細に置き換える（値とメモはそのまま引き継ぐ）
+  const handleConvert = (category, label) => {
+    onChange([...items, ...itemsFromMonthlyValues(data, category, label)]);
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <h2 className="text-lg font-bold flex items-center gap-2 mb-1">
+        <ListTree className="w-5 h-5 text-orange-500" />
+        費用の内訳
+      </h2>
+      <p className="text-xs text-gray-500 mb-4">明細のある費目は、入力表の月次の値が明細の合計になります（明細をすべて削除すると手入力に戻ります）。</p>
+      <div className="space-y-6">
+        {COST_CATEGORIES.map(cat => {
+          const catItems = items.filter(item => item.category === cat.key);
+          const hasManualValues = data.some(row => Number(row[cat.key]) !== 0);
+          return (
+            <div key={cat.key}>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-600">
+                  {cat.label}<span className="ml-2 text-xs text-gray-400">{cat.examples}</span>
+                </h3>
+                <div className="flex gap-2">
+                  {catItems.length === 0 && hasManualValues && (
+                    <button
+                      onClick={() => handleConvert(cat.key, cat.label)}
+                      className="px-2 py-1 rounded border border-gray-200 text-xs text-gray-600 hover:bg-gray-100 transition-colors"
+                      title="今の月次の値をそのまま明細にします（メモは明細名に引き継ぎます）"
+                    >
+                      月次の値から内訳を作成
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleAdd(cat.key)}
+                    className="flex items-center gap-1 px-2 py-1 rounded border border-orange-200 text-xs text-orange-700 hover:bg-orange-50 transition-colors"
+                  >
+                    <Plus className="w-3 h-3" />明細を追加
+                  </button>
+                </div>
+              </div>
+              {catItems.length === 0 ? (
+                <p className="text-xs text-gray-400">明細なし（入力表で月ごとに手入力）</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead className="text-xs text-gray-500 text-left">
+                    <tr>
+                      <th className="py-1 pr-2 font-normal">名称</th>
+                      <th className="py-1 pr-2 font-normal">計上</th>
+                      <th className="py-1 pr-2 font-normal">期間</th>
+                      <th className="py-1 pr-2 font-normal text-right">月額（円）</th>
+                      {cat.key === 'personnel' && <th className="py-1 pr-2 font-normal text-right">時給×月間時間</th>}
+                      {units.length > 0 && <th className="py-1 pr-2 font-normal">拠点</th>}
+                      <th className="py-1 font-normal"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {catItems.map(item => {
+                      const usesHourly = cat.key === 'personnel' && Number(item.hourlyRate) > 0;
+                      return (
+                        <tr key={item.id}>
+                          <td className="py-1 pr-2">
+                            <input
+                              type="text"
+                              value={item.name}
+                              onChange={(e) => handleChange(item.id, 'name', e.target.value)}
+                              placeholder={cat.key === 'personnel' ? 'スタッフ名' : '費目名'}
+                              className={`w-full ${INPUT_CLASS}`}
+                            />
+                          </td>
+                          <td className="py-1 pr-2">
+                            <select
+                              value={item.kind}
+                              onChange={(e) => handleChange(item.id, 'kind', e.target.value)}
+                              className={INPUT_CLASS}
+                            >
+                              <option value="recurring">毎月</option>
+                              <option value="oneOff">単発</option>
+                            </select>
+                          </td>
+                          <td className="py-1 pr-2 whitespace-nowrap">
+                            {item.kind === 'oneOff' ? (
+                              <select
+                                value={item.month}
+                                onChange={(e) => handleChange(item.id, 'month', e.target.value)}
+                                className={INPUT_CLASS}
+                              >
+                                <option value="">月を選択</option>
+                                {months.map(m => <option key={m} value={m}>{m}</option>)}
+                              </select>
+                            ) : (
+                              <>
+                                <select
+                                  value={item.startMonth}
+                                  onChange={(e) => handleChange(item.id, 'startMonth', e.target.value)}
+                                  className={INPUT_CLASS}
+                                >
+                                  <option value="">期間の最初から</option>
+                                  {months.map(m => <option key={m} value={m}>{m}</option>)}
+                                </select>
+                                <span className="mx-1 text-gray-400">〜</span>
+                                <select
+                                  value={item.endMonth}
+                                  onChange={(e) => handleChange(item.id, 'endMonth', e.target.value)}
+                                  className={INPUT_CLASS}
+                                >
+                                  <option value="">期間の最後まで</option>
+                                  {months.map(m => <option key={m} value={m}>{m}</option>)}
+                                </select>
+                              </>
+                            )}
+                          </td>
+                          <td className="py-1 pr-2 text-right">
+                            {usesHourly ? (
+                              <span className="text-gray-600">{formatCurrency(itemMonthlyAmount(item))}</span>
+                            ) : (
+                              <input
+                                type="number"
+                                min="0"
+                                value={item.amount}
+                                onChange={(e) => handleChange(item.id, 'amount', Number(e.target.value))}
+                                className={`w-28 text-right ${INPUT_CLASS}`}
+                              />
+                            )}
+                          </td>
+                          {cat.key === 'personnel' && (
+                            <td className="py-1 pr-2 text-right whitespace-nowrap">
+                              <input
+                                type="number"
+                                min="0"
+                                value={item.hourlyRate}
+                                onChange={(e) => handleChange(item.id, 'hourlyRate', e.target.value === '' ? '' : Number(e.target.value))}
+                                placeholder="時給"
+                                className={`w-20 text-right ${INPUT_CLASS}`}
+                              />
+                              <span className="mx-1 text-gray-400">×</span>
+                              <input
+                                type="number"
+                                min="0"
+                                value={item.hours}
+                                onChange={(e) => handleChange(item.id, 'hours', e.target.value === '' ? '' : Number(e.target.value))}
+                                placeholder="時間"
+                                className={`w-16 text-right ${INPUT_CLASS}`}
+                              />
+                            </td>
+                          )}
+                          {units.length > 0 && (
+                            <td className="py-1 pr-2">
+                              <select
+                                value={units.some(unit => unit.id === item.unitId) ? item.unitId : ''}
+                                onChange={(e) => handleChange(item.id, 'unitId', e.target.value)}
+                                className={INPUT_CLASS}
+                              >
+                                <option value="">共通費</option>
+                                {units.map(unit => <option key={unit.id} value={unit.id}>{unit.name || '（名称未設定）'}</option>)}
+                              </select>
+                            </td>
+                          )}
+                          <td className="py-1 text-right">
+                            <button onClick={() => handleDelete(item.id)} title="明細を削除" className="text-gray-400 hover:text-red-600">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+export default CostItemsPanel;
@@ -0,0 +1,156 @@
+import React, { useState, useMemo } from 'react';
+import { X, Upload, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { parseCsv, readTextFile } from '../lib/csv';
+import { IMPORT_FIELDS, IMPORT_MODES, guessMapping, validateImport } from '../lib/importPlan';
+
+const ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'shift_jis', label: 'Shift_JIS（POSレジ・古いExcel）' },
+];
+
+// CSV取込ダイアログ（ファイル選択 → 列の対応付け・検証 → 取込）
+// itemized は費用の内訳から計算している費用カテゴリ（計画値としては取り込まない）
+const CsvImportDialog = ({ data, itemized, onImport, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [encoding, setEncoding] = useState('utf-8');
+  const [table, setTable] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState('plan');
+  const [readError, setReadError] = useState('');
+
+  const loadFile = async (targetFile, targetEncoding) => {
+    if (!targetFile) return;
+    setReadError('');
+    try {
+      const parsed = parseCsv(await readTextFile(targetFile, targetEncoding));
+      if (parsed.length < 2) {
+        setReadError('見出し行とデータ行のあるCSVを選んでください。');
+        setTable(null);
+        return;
+      }
+      const [headers, ...rows] = parsed;
+      setTable({ headers, rows });
+      setMapping(guessMapping(headers));
+    } catch (error) {
+      console.error("CSV read error:", error);
+      setReadError('ファイルを読み込めませんでした。文字コードを確認してください。');
+      setTable(null);
+    }
+  };
+
+  const result = useMemo(
+    () => (table ? validateImport(table.rows, mapping, data, mode, itemized) : null),
+    [table, mapping, data, mode, itemized]
+  );
+  const canImport = result && result.errors.length === 0 && result.records.length > 0;
+
+  const visibleFields = IMPORT_FIELDS.filter(f => !(mode === 'actual' && f.planOnly));
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-lg font-bold flex items-center gap-2">
+            <Upload className="w-5 h-5 text-indigo-500" />
+            CSVの取込
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          {/* 1. ファイル選択 */}
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => {
+                const selected = e.target.files[0] || null;
+                setFile(selected);
+                loadFile(selected, encoding);
+              }}
+            />
+            <select
+              value={encoding}
+              onChange={(e) => {
+                setEncoding(e.target.value);
+                loadFile(file, e.target.value);
+              }}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              {ENCODINGS.map(enc => <option key={enc.value} value={enc.value}>{enc.label}</option>)}
+            </select>
+          </div>
+          {readError && <p className="text-red-600">{readError}</p>}
+
+          {table && (
+            <>
+              {/* 2. 取込方法と列の対応付け */}
+              <div className="flex gap-4">
+                {Object.entries(IMPORT_MODES).map(([value, label]) => (
+                  <label key={value} className="flex items-center gap-1 cursor-pointer">
+                    <input type="radio" name="import-mode" value={value} checked={mode === value} onChange={() => setMode(value)} className="accent-indigo-600" />
+                    {label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                {visibleFields.map(field => (
+                  <label key={field.key} className="flex items-center justify-between gap-2">
+                    <span className="text-gray-600">
+                      {field.label}{field.required && <span className="text-red-500">*</span>}
+                    </span>
+                    <select
+                      value={mapping[field.key] ?? -1}
+                      onChange={(e) => setMapping({ ...mapping, [field.key]: Number(e.target.value) })}
+                      className="w-48 border border-gray-300 rounded px-2 py-1"
+                    >
+                      <option value={-1}>（取り込まない）</option>
+                      {table.headers.map((header, i) => <option key={i} value={i}>{header || `${i + 1}列目`}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {/* 3. 検証結果 */}
+              {result.errors.length > 0 && (
+                <div className="p-3 rounded border border-red-200 bg-red-50 text-red-700">
+                  <div className="flex items-center gap-2 font-bold mb-1"><AlertTriangle className="w-4 h-4" />取り込めない行があります（{result.errors.length}件）</div>
+                  <ul className="list-disc list-inside max-h-32 overflow-y-auto">
+                    {result.errors.slice(0, 50).map((error, i) => (
+                      <li key={i}>{error.line ? `${error.line}行目: ` : ''}{error.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {result.warnings.length > 0 && (
+                <ul className="p-3 rounded border border-amber-200 bg-amber-50 text-amber-800 list-disc list-inside">
+                  {result.warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+                </ul>
+              )}
+              {canImport && (
+                <p className="flex items-center gap-2 text-emerald-700">
+                  <CheckCircle2 className="w-4 h-4" />
+                  {result.records.length}ヶ月分（{result.records.map(r => r.monthStr).join(', ')}）を取り込みます。
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 rounded border border-gray-300 text-gray-600 hover:bg-gray-100">キャンセル</button>
+          <button
+            onClick={() => onImport(result.records, mode)}
+            disabled={!canImport}
+            className="px-4 py-2 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-40"
+          >
+            取り込む
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportDialog;
@@ -0,0 +1,156 @@
+import React from 'react';
+import { CalendarHeart, Plus, Trash2, Sparkles } from 'lucide-react';
+import { PLAN_DEFS } from '../lib/drivers';
+import { EVENT_TYPES, createEvent, standardEvents } from '../lib/events';
+
+const INPUT_CLASS = 'p-1 border border-gray-300 rounded focus:border-rose-500 focus:ring-1 focus:ring-rose-500 outline-none';
+
+// イベントカレンダー（自治体ごとの成人式、学校ごとの卒業式、七五三など）
+// 見込み予約件数はその月の件数に上乗せされ、応援スタッフの人件費がその月の人件費に加わる
+const EventsPanel = ({ events, data, onChange }) => {
+  const sorted = [...events].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  const handleChange = (id, field, value) => {
+    onChange(events.map(event => (event.id === id ? { ...event, [field]: value } : event)));
+  };
+
+  const handleBookingChange = (event, planKey, value) => {
+    handleChange(event.id, 'bookings', { ...event.bookings, [planKey]: value });
+  };
+
+  const handleAdd = () => {
+    const firstMonth = data.length > 0 ? data[0].monthStr : '';
+    onChange([...events, createEvent('other', firstMonth ? `${firstMonth}-01` : '')]);
+  };
+
+  // 期間中の各年の成人式・卒業式・七五三を追加（同じ種類・同じ月のイベントがあれば追加しない）
+  const handleAddStandard = () => {
+    const exists = new Set(events.map(event => `${event.type}:${String(event.date).slice(0, 7)}`));
+    const additions = standardEvents(data).filter(event => !exists.has(`${event.type}:${event.date.slice(0, 7)}`));
+    if (additions.length === 0) {
+      alert('期間中の定番イベントはすべて登録済みです。');
+      return;
+    }
+    onChange([...events, ...additions]);
+  };
+
+  const handleDelete = (id) => {
+    onChange(events.filter(event => event.id !== id));
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <CalendarHeart className="w-5 h-5 text-rose-500" />
+          イベントカレンダー
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={handleAddStandard}
+            className="flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-sm text-gray-600 hover:bg-gray-100 transition-colors"
+            title="期間中の成人の日・3月中旬・11月15日に定番イベントを追加します（日付・名前は地域に合わせて直してください）"
+          >
+            <Sparkles className="w-4 h-4" />定番イベントを追加
+          </button>
+          <button
+            onClick={handleAdd}
+            className="flex items-center gap-1 px-3 py-1.5 rounded border border-rose-200 text-sm text-rose-700 hover:bg-rose-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />イベントを追加
+          </button>
+        </div>
+      </div>
+
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-400">成人式・卒業式・七五三などを登録すると、見込み予約件数と応援スタッフの人件費がその月に加わり、グラフにマーカーが付きます。</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm whitespace-nowrap">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="py-1 pr-2 font-normal">日付</th>
+                  <th className="py-1 pr-2 font-normal">種類</th>
+                  <th className="py-1 pr-2 font-normal">名称・地域</th>
+                  {PLAN_DEFS.map(plan => (
+                    <th key={plan.key} className="py-1 pr-2 font-normal text-right">{plan.label}見込み</th>
+                  ))}
+                  <th className="py-1 pr-2 font-normal text-right">応援スタッフ</th>
+                  <th className="py-1 pr-2 font-normal text-right">1人あたり人件費（円）</th>
+                  <th className="py-1 font-normal"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map(event => (
+                  <tr key={event.id}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="date"
+                        value={event.date}
+                        onChange={(e) => handleChange(event.id, 'date', e.target.value)}
+                        className={INPUT_CLASS}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select value={event.type} onChange={(e) => handleChange(event.id, 'type', e.target.value)} className={INPUT_CLASS}>
+                        {EVENT_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={event.name}
+                        onChange={(e) => handleChange(event.id, 'name', e.target.value)}
+                        placeholder="例：〇〇市 成人式"
+                        className={`w-40 ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    {PLAN_DEFS.map(plan => (
+                      <td key={plan.key} className="py-1 pr-2 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          value={event.bookings?.[plan.key] ?? 0}
+                          onChange={(e) => handleBookingChange(event, plan.key, Number(e.target.value))}
+                          className={`w-20 text-right ${INPUT_CLASS}`}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        value={event.staff}
+                        onChange={(e) => handleChange(event.id, 'staff', Number(e.target.value))}
+                        className={`w-16 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="1000"
+                        value={event.staffCostPerPerson}
+                        onChange={(e) => handleChange(event.id, 'staffCostPerPerson', Number(e.target.value))}
+                        className={`w-28 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <button onClick={() => handleDelete(event.id)} title="削除" className="text-gray-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">見込み件数は入力表の件数に上乗せされます。季節性プロファイルの山とイベントの見込みが二重にならないよう、どちらかで調整してください。</p>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default EventsPanel;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { formatCurrency } from '../lib/format';
+
+// 会計年度別のKPI（期間の途中で切れる年度は「一部」と表示）
+const FiscalYearSummary = ({ fiscalYears }) => (
+  <section className="bg-white p-6 rounded-lg shadow border border-gray-100 overflow-x-auto">
+    <h2 className="text-lg font-bold mb-4">年度別 集計</h2>
+    <table className="w-full text-sm whitespace-nowrap">
+      <thead className="text-xs text-gray-700 bg-gray-100 border-b border-gray-200">
+        <tr>
+          <th className="px-4 py-2 text-left">年度</th>
+          <th className="px-4 py-2 text-right">月数</th>
+          <th className="px-4 py-2 text-right">売上</th>
+          <th className="px-4 py-2 text-right">コスト</th>
+          <th className="px-4 py-2 text-right">営業利益</th>
+          <th className="px-4 py-2 text-right">営業利益率</th>
+          <th className="px-4 py-2 text-right">経常利益</th>
+          <th className="px-4 py-2 text-right">税引後利益</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {fiscalYears.map(fy => (
+          <tr key={fy.fiscalYear}>
+            <td className="px-4 py-2 font-medium">
+              {fy.label}
+              {fy.isPartial && <span className="ml-2 text-xs text-gray-400">（一部）</span>}
+            </td>
+            <td className="px-4 py-2 text-right">{fy.months}</td>
+            <td className="px-4 py-2 text-right text-indigo-600">{formatCurrency(fy.sales)}</td>
+            <td className="px-4 py-2 text-right text-gray-600">{formatCurrency(fy.cost)}</td>
+            <td className={`px-4 py-2 text-right font-bold ${fy.profit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(fy.profit)}</td>
+            <td className={`px-4 py-2 text-right ${Number(fy.margin) >= 10 ? 'text-emerald-700' : 'text-amber-600'}`}>{fy.margin}%</td>
+            <td className={`px-4 py-2 text-right ${fy.ordinaryProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(fy.ordinaryProfit)}</td>
+            <td className={`px-4 py-2 text-right font-bold ${fy.netProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(fy.netProfit)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </section>
+);
+
+export default FiscalYearSummary;
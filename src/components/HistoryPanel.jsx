@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from 'react';
+import { History, Undo2, Redo2, Camera, RotateCcw, GitCompare, Trash2 } from 'lucide-react';
+import { describeChanges } from '../lib/history';
+import { summarize } from '../lib/simulation';
+import { formatCurrency } from '../lib/format';
+
+// 表示する変更の数（それ以上は件数だけ出す）。スナップショットとの差分は多めに出す
+const MAX_CHANGES_SHOWN = 5;
+const MAX_DIFF_CHANGES_SHOWN = 50;
+
+const DIFF_KPIS = [
+  { key: 'sales', label: '売上' },
+  { key: 'cost', label: 'コスト' },
+  { key: 'profit', label: '営業利益' },
+  { key: 'netProfit', label: '税引後利益' },
+];
+
+const formatTime = (at) => new Date(at).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const ChangeList = ({ changes, limit = MAX_CHANGES_SHOWN }) => (
+  <ul className="text-xs text-gray-600 space-y-0.5">
+    {changes.slice(0, limit).map((c, i) => (
+      <li key={i}>
+        {c.monthStr && <span className="text-gray-400 mr-1">{c.monthStr}</span>}
+        {c.label}
+        {(c.from || c.to) && <span className="ml-1">{c.from} → <span className="font-medium text-gray-800">{c.to}</span></span>}
+      </li>
+    ))}
+    {changes.length > limit && <li className="text-gray-400">ほか {changes.length - limit}件</li>}
+    {changes.length === 0 && <li className="text-gray-400">入力値の変更なし</li>}
+  </ul>
+);
+
+// 変更ログ（元に戻す・やり直し）と名前付きスナップショット（保存・復元・現在の計画との差分）
+const HistoryPanel = ({ history, scenarios, activeScenario, snapshots, onUndo, onRedo, onSaveSnapshot, onRestoreSnapshot, onDeleteSnapshot }) => {
+  const [snapshotName, setSnapshotName] = useState('');
+  const [diffId, setDiffId] = useState(null);
+
+  const scenarioName = (id) => (scenarios.find(s => s.id === id) || { name: '（削除済みのシナリオ）' }).name;
+
+  // 新しい順。取り消した操作（やり直せるもの）は上に薄く表示する
+  const entries = useMemo(() => [
+    ...history.future.map(entry => ({ entry, isUndone: true })),
+    ...[...history.past].reverse().map(entry => ({ entry, isUndone: false })),
+  ].map(item => ({ ...item, changes: describeChanges(item.entry.before, item.entry.after) })), [history]);
+
+  const diffSnapshot = snapshots.find(s => s.id === diffId);
+  const diff = useMemo(() => {
+    if (!diffSnapshot) return null;
+    const current = { data: activeScenario.data, settings: activeScenario.settings };
+    return {
+      before: summarize(diffSnapshot.data, diffSnapshot.settings),
+      after: summarize(current.data, current.settings),
+      changes: describeChanges(diffSnapshot, current),
+    };
+  }, [diffSnapshot, activeScenario]);
+
+  const handleSave = () => {
+    const name = snapshotName.trim();
+    if (!name) return;
+    onSaveSnapshot(name);
+    setSnapshotName('');
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <History className="w-5 h-5 text-slate-500" />
+          変更履歴・スナップショット
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={onUndo}
+            disabled={history.past.length === 0}
+            className="flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-sm text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40"
+            title="元に戻す（Ctrl+Z）"
+          >
+            <Undo2 className="w-4 h-4" />元に戻す
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={history.future.length === 0}
+            className="flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-sm text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40"
+            title="やり直し（Ctrl+Shift+Z / Ctrl+Y）"
+          >
+            <Redo2 className="w-4 h-4" />やり直し
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-medium text-gray-600 mb-2">変更ログ（このページを開いてからの操作）</h3>
+          {entries.length === 0 ? (
+            <p className="text-xs text-gray-400">まだ変更はありません。</p>
+          ) : (
+            <ol className="max-h-[360px] overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded">
+              {entries.map(({ entry, isUndone, changes }) => (
+                <li key={entry.id} className={`px-3 py-2 ${isUndone ? 'opacity-40' : ''}`}>
+                  <div className="flex justify-between text-xs text-gray-400 mb-1">
+                    <span>{formatTime(entry.at)}</span>
+                    <span>{scenarioName(entry.scenarioId)}{isUndone && '（取り消し済み）'}</span>
+                  </div>
+                  <ChangeList changes={changes} />
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-gray-600 mb-2">スナップショット</h3>
+          <div className="flex gap-2 mb-1">
+            <input
+              type="text"
+              value={snapshotName}
+              onChange={(e) => setSnapshotName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              placeholder="例：10月取締役会提出版"
+              className="flex-1 p-1.5 border border-gray-300 rounded text-sm focus:border-slate-500 focus:ring-1 focus:ring-slate-500 outline-none"
+            />
+            <button
+              onClick={handleSave}
+              disabled={!snapshotName.trim()}
+              className="flex items-center gap-1 px-3 py-1.5 rounded bg-slate-700 text-white text-sm hover:bg-slate-800 transition-colors disabled:opacity-40"
+            >
+              <Camera className="w-4 h-4" />保存
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mb-3">表示中のシナリオ「{activeScenario.name}」の今の状態を残します（この端末のブラウザに保存）。</p>
+          {snapshots.length === 0 ? (
+            <p className="text-xs text-gray-400">スナップショットはまだありません。</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded mb-4">
+              {[...snapshots].reverse().map(snapshot => (
+                <li key={snapshot.id} className={`px-3 py-2 flex items-center justify-between gap-2 ${snapshot.id === diffId ? 'bg-slate-50' : ''}`}>
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium truncate">{snapshot.name}</div>
+                    <div className="text-xs text-gray-400">{formatTime(snapshot.createdAt)}・{snapshot.scenarioName}</div>
+                  </div>
+                  <div className="flex gap-1 shrink-0">
+                    <button
+                      onClick={() => setDiffId(snapshot.id === diffId ? null : snapshot.id)}
+                      className="flex items-center gap-1 px-2 py-1 rounded border border-gray-200 text-xs text-gray-600 hover:bg-gray-100 transition-colors"
+                    >
+                      <GitCompare className="w-3 h-3" />差分
+                    </button>
+                    <button
+                      onClick={() => onRestoreSnapshot(snapshot.id)}
+                      className="flex items-center gap-1 px-2 py-1 rounded border border-gray-200 text-xs text-gray-600 hover:bg-gray-100 transition-colors"
+                    >
+                      <RotateCcw className="w-3 h-3" />復元
+                    </button>
+                    <button onClick={() => onDeleteSnapshot(snapshot.id)} title="削除" className="px-1 text-gray-400 hover:text-red-600">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {diff && (
+            <div className="border border-slate-200 rounded p-3">
+              <div className="text-xs text-gray-500 mb-2">「{diffSnapshot.name}」→ 現在の「{activeScenario.name}」</div>
+              <table className="w-full text-xs text-right mb-3">
+                <thead className="text-gray-500">
+                  <tr>
+                    <th className="py-1 font-normal text-left">項目</th>
+                    <th className="py-1 font-normal">スナップショット</th>
+                    <th className="py-1 font-normal">現在</th>
+                    <th className="py-1 font-normal">差額</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {DIFF_KPIS.map(({ key, label }) => {
+                    const delta = diff.after[key] - diff.before[key];
+                    return (
+                      <tr key={key} className="border-t border-gray-100">
+                        <td className="py-1 text-left">{label}</td>
+                        <td className="py-1">{formatCurrency(diff.before[key])}</td>
+                        <td className="py-1">{formatCurrency(diff.after[key])}</td>
+                        <td className={`py-1 font-bold ${delta > 0 ? 'text-emerald-700' : (delta < 0 ? 'text-red-600' : 'text-gray-400')}`}>
+                          {delta > 0 ? '+' : ''}{formatCurrency(delta)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="text-xs text-gray-500 mb-1">入力の違い（{diff.changes.length}件）</div>
+              <div className="max-h-[200px] overflow-y-auto">
+                <ChangeList changes={diff.changes} limit={MAX_DIFF_CHANGES_SHOWN} />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { CalendarRange, CalendarPlus } from 'lucide-react';
+
+const MONTH_OPTIONS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+// シミュレーション期間（開始年月・月数）と会計年度の期首月の設定
+// 入力中の値は「適用」を押すまで月次データに反映しない
+const PeriodSettings = ({ period, fiscalYearStartMonth, onApply, onExtend, onFiscalYearStartChange }) => {
+  const [startMonth, setStartMonth] = useState(period.startMonth);
+  const [months, setMonths] = useState(period.months);
+  const isDirty = startMonth !== period.startMonth || Number(months) !== period.months;
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <h2 className="text-lg font-bold flex items-center gap-2 mb-4">
+        <CalendarRange className="w-5 h-5 text-indigo-500" />
+        期間・会計年度
+      </h2>
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-500">開始年月</span>
+          <input
+            type="month"
+            value={startMonth}
+            onChange={(e) => setStartMonth(e.target.value)}
+            className="p-1 border border-gray-300 rounded focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-500">月数</span>
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={months}
+            onChange={(e) => setMonths(Number(e.target.value))}
+            className="w-24 text-right p-1 border border-gray-300 rounded focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none"
+          />
+        </label>
+        <button
+          onClick={() => onApply(startMonth, Number(months))}
+          disabled={!isDirty || !startMonth || months < 1}
+          className="px-3 py-1.5 rounded bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-40"
+        >
+          期間を適用
+        </button>
+        <button
+          onClick={() => onExtend(12)}
+          className="flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-gray-600 hover:bg-gray-100 transition-colors"
+          title="末尾に12ヶ月追加し、前年同月の件数・費用を引き継ぎます"
+        >
+          <CalendarPlus className="w-4 h-4" />翌年へ12ヶ月延長
+        </button>
+        <label className="flex flex-col gap-1 md:ml-auto">
+          <span className="text-gray-500">会計年度の期首月</span>
+          <select
+            value={fiscalYearStartMonth}
+            onChange={(e) => onFiscalYearStartChange(Number(e.target.value))}
+            className="p-1.5 border border-gray-300 rounded focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none"
+          >
+            {MONTH_OPTIONS.map(m => <option key={m} value={m}>{m}月</option>)}
+          </select>
+        </label>
+      </div>
+      <p className="mt-3 text-xs text-gray-500">
+        ※ 新しく追加される月は前年同月（なければ翌年同月）の予約件数・費用を引き継ぎます。期間外になる月のデータは削除されます。
+      </p>
+    </section>
+  );
+};
+
+export default PeriodSettings;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Tags } from 'lucide-react';
+import { PLAN_DEFS } from '../lib/drivers';
+
+// プラン別の平均単価・原価率の設定（月次の予約件数に掛けて売上・原価を算出）
+const PlanSettings = ({ plans, onChange }) => {
+  const handleChange = (key, field, value) => {
+    onChange({ ...plans, [key]: { ...plans[key], [field]: value } });
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <h2 className="text-lg font-bold flex items-center gap-2 mb-4">
+        <Tags className="w-5 h-5 text-indigo-500" />
+        プラン別 単価・原価率
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {PLAN_DEFS.map(plan => (
+          <div key={plan.key} className="border border-gray-200 rounded p-4">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">{plan.label}</h3>
+            <label className="flex items-center justify-between gap-2 text-sm mb-2">
+              <span className="text-gray-500">平均単価（円）</span>
+              <input
+                type="number"
+                min="0"
+                value={plans[plan.key].price}
+                onChange={(e) => handleChange(plan.key, 'price', Number(e.target.value))}
+                className="w-32 text-right p-1 border border-gray-300 rounded focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none"
+              />
+            </label>
+            <label className="flex items-center justify-between gap-2 text-sm">
+              <span className="text-gray-500">原価率（%）</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={plans[plan.key].costRatio}
+                onChange={(e) => handleChange(plan.key, 'costRatio', Number(e.target.value))}
+                className="w-32 text-right p-1 border border-gray-300 rounded focus:border-red-500 focus:ring-1 focus:ring-red-500 outline-none"
+              />
+            </label>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default PlanSettings;
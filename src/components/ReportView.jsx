@@ -0,0 +1,247 @@
+import React from 'react';
+import { ComposedChart, LineChart, Bar, Line, XAxis, YAxis, CartesianGrid, Legend, ReferenceLine } from 'recharts';
+import { Printer, X } from 'lucide-react';
+import { REPORT_TABLE_COLUMNS, REPORT_ROWS_PER_PAGE, paginate, buildAssumptions, buildNotes } from '../lib/report';
+import { formatCurrency, formatMan } from '../lib/format';
+import { formatPeriod } from '../lib/period';
+
+// 備考1ページあたりの月数
+const NOTES_PER_PAGE = 14;
+
+// A4横の本文幅（余白12mmを除く）に合わせたグラフの大きさ（px）
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 290;
+
+const INPUT_CLASS = 'p-1.5 border border-gray-300 rounded text-sm focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none';
+
+const REPORT_FIELDS = [
+  { key: 'companyName', label: '会社名', placeholder: '株式会社〇〇' },
+  { key: 'title', label: '資料名', placeholder: '事業計画書' },
+  { key: 'preparedBy', label: '作成者', placeholder: '代表取締役 〇〇' },
+];
+
+// 1ページ（A4横）。印刷時はページごとに改ページする
+const ReportPage = ({ pageNumber, pageCount, footer, children }) => (
+  <div className="report-page relative bg-white w-[297mm] h-[210mm] p-[12mm] mx-auto mb-6 shadow-lg overflow-hidden break-after-page print:mb-0 print:shadow-none">
+    {children}
+    <div className="absolute bottom-[6mm] left-[12mm] right-[12mm] flex justify-between text-[10px] text-gray-400">
+      <span>{footer}</span>
+      <span>{pageNumber} / {pageCount}</span>
+    </div>
+  </div>
+);
+
+const PageTitle = ({ children }) => (
+  <h2 className="text-lg font-bold border-b-2 border-indigo-500 pb-1 mb-4">{children}</h2>
+);
+
+// 印刷用レポート（表紙・KPI・グラフ・月次表・備考）。ブラウザの印刷で「PDFに保存」を選ぶと PDF になる
+// 数値は What-if を含まない保存済みの計画
+const ReportView = ({ scenarioName, data, rows, summary, fiscalYears, settings, onReportChange, onClose }) => {
+  const report = settings.report;
+  const assumptions = buildAssumptions(settings);
+  const tablePages = paginate(rows, REPORT_ROWS_PER_PAGE);
+  const notePages = paginate(buildNotes(data), NOTES_PER_PAGE);
+  const pageCount = 3 + tablePages.length + notePages.length;
+  const createdAt = new Date().toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' });
+  const footer = [report.companyName, report.title, scenarioName].filter(Boolean).join('　');
+
+  const kpis = [
+    { label: '売上高', value: formatCurrency(summary.sales) },
+    { label: '総コスト', value: formatCurrency(summary.cost) },
+    { label: '営業利益', value: formatCurrency(summary.profit) },
+    { label: '営業利益率', value: `${summary.margin}%` },
+    { label: '経常利益', value: formatCurrency(summary.ordinaryProfit) },
+    { label: '税引後当期純利益', value: formatCurrency(summary.netProfit) },
+  ];
+
+  // PDF の既定のファイル名は document.title になる
+  const handlePrint = () => {
+    const title = document.title;
+    document.title = [report.companyName, report.title, scenarioName].filter(Boolean).join('_');
+    window.print();
+    document.title = title;
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-200 print:bg-white">
+      <div className="sticky top-0 z-20 bg-slate-900 text-white p-3 shadow-md print:hidden">
+        <div className="flex flex-wrap items-center gap-3 justify-between max-w-[297mm] mx-auto">
+          <div className="flex flex-wrap items-center gap-2">
+            {REPORT_FIELDS.map(({ key, label, placeholder }) => (
+              <label key={key} className="flex items-center gap-1 text-xs text-gray-300">
+                {label}
+                <input
+                  type="text"
+                  value={report[key]}
+                  onChange={(e) => onReportChange({ ...report, [key]: e.target.value })}
+                  placeholder={placeholder}
+                  className={`w-44 text-gray-800 bg-white ${INPUT_CLASS}`}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <button onClick={handlePrint} className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 px-4 py-2 rounded text-sm transition-colors" title="印刷ダイアログで「PDFに保存」を選んでください">
+              <Printer className="w-4 h-4" />印刷・PDF保存
+            </button>
+            <button onClick={onClose} className="flex items-center gap-1 px-3 py-2 rounded border border-gray-500 text-sm hover:bg-slate-800 transition-colors">
+              <X className="w-4 h-4" />閉じる
+            </button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-400 text-center mt-2">用紙サイズ A4・横向き、余白なしで印刷してください（What-if の試算は含みません）。</p>
+      </div>
+
+      <div className="py-6 print:py-0">
+        {/* 表紙 */}
+        <ReportPage pageNumber={1} pageCount={pageCount} footer={footer}>
+          <div className="h-full flex flex-col">
+            <div className="mt-[18mm] mb-[12mm] text-center">
+              <div className="text-base text-gray-500 mb-2">{report.companyName || '（会社名）'}</div>
+              <h1 className="text-4xl font-bold tracking-wide mb-3">{report.title || '事業計画書'}</h1>
+              <div className="text-lg text-gray-700">{scenarioName}</div>
+              <div className="text-sm text-gray-500 mt-2">計画期間：{formatPeriod(data)}（{data.length}ヶ月）</div>
+            </div>
+            <div className="mx-auto w-[200mm]">
+              <h3 className="text-sm font-bold text-gray-600 mb-2">主な前提条件</h3>
+              <table className="w-full text-xs">
+                <tbody>
+                  {assumptions.map(item => (
+                    <tr key={item.label} className="border-b border-gray-200">
+                      <th className="py-1 pr-4 text-left font-normal text-gray-500 w-[60mm]">{item.label}</th>
+                      <td className="py-1">{item.value}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="mt-auto mb-[6mm] text-right text-sm text-gray-600">
+              <div>作成日：{createdAt}</div>
+              {report.preparedBy && <div>作成者：{report.preparedBy}</div>}
+            </div>
+          </div>
+        </ReportPage>
+
+        {/* KPI・年度別集計 */}
+        <ReportPage pageNumber={2} pageCount={pageCount} footer={footer}>
+          <PageTitle>計画の概要</PageTitle>
+          <div className="grid grid-cols-3 gap-4 mb-8">
+            {kpis.map(kpi => (
+              <div key={kpi.label} className="border border-gray-200 rounded p-4">
+                <div className="text-xs text-gray-500 mb-1">{kpi.label}</div>
+                <div className="text-2xl font-bold">{kpi.value}</div>
+              </div>
+            ))}
+          </div>
+          {summary.closedMonths > 0 && <p className="text-xs text-gray-500 -mt-6 mb-6">※ 締め済みの{summary.closedMonths}ヶ月は実績値で集計しています。</p>}
+          <h3 className="text-sm font-bold text-gray-600 mb-2">年度別の集計</h3>
+          <table className="w-full text-sm text-right">
+            <thead className="text-xs text-gray-500 bg-gray-50">
+              <tr>
+                <th className="py-2 px-2 text-left font-normal">年度</th>
+                <th className="py-2 px-2 font-normal">月数</th>
+                <th className="py-2 px-2 font-normal">売上</th>
+                <th className="py-2 px-2 font-normal">コスト</th>
+                <th className="py-2 px-2 font-normal">営業利益</th>
+                <th className="py-2 px-2 font-normal">営業利益率</th>
+                <th className="py-2 px-2 font-normal">経常利益</th>
+                <th className="py-2 px-2 font-normal">税引後利益</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fiscalYears.map(fy => (
+                <tr key={fy.fiscalYear} className="border-b border-gray-100">
+                  <td className="py-2 px-2 text-left">{fy.label}{fy.isPartial && '（一部）'}</td>
+                  <td className="py-2 px-2">{fy.months}</td>
+                  <td className="py-2 px-2">{formatCurrency(fy.sales)}</td>
+                  <td className="py-2 px-2">{formatCurrency(fy.cost)}</td>
+                  <td className="py-2 px-2 font-bold">{formatCurrency(fy.profit)}</td>
+                  <td className="py-2 px-2">{fy.margin}%</td>
+                  <td className="py-2 px-2">{formatCurrency(fy.ordinaryProfit)}</td>
+                  <td className="py-2 px-2">{formatCurrency(fy.netProfit)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ReportPage>
+
+        {/* グラフ（印刷ではアニメーションなし・固定サイズ） */}
+        <ReportPage pageNumber={3} pageCount={pageCount} footer={footer}>
+          <PageTitle>月次 売上・営業利益の推移</PageTitle>
+          <ComposedChart width={CHART_WIDTH} height={CHART_HEIGHT} data={rows} margin={{ top: 5, right: 10, bottom: 0, left: 10 }}>
+            <CartesianGrid stroke="#f0f0f0" strokeDasharray="3 3" />
+            <XAxis dataKey="monthStr" tick={{fontSize: 11}} angle={-45} textAnchor="end" height={50} />
+            <YAxis tickFormatter={formatMan} tick={{fontSize: 11}} />
+            <Legend wrapperStyle={{ fontSize: 11 }} verticalAlign="top" height={24} />
+            <Bar dataKey="resultSales" name="売上高" fill="#818cf8" barSize={24} isAnimationActive={false} />
+            <Line type="monotone" dataKey="resultOperatingProfit" name="営業利益" stroke="#10b981" strokeWidth={2.5} dot={{ r: 3 }} isAnimationActive={false} />
+            <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="3 3" />
+          </ComposedChart>
+          <PageTitle>累積 売上・コストと月末現金残高</PageTitle>
+          <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={rows} margin={{ top: 5, right: 10, bottom: 0, left: 10 }}>
+            <CartesianGrid stroke="#f0f0f0" strokeDasharray="3 3" />
+            <XAxis dataKey="monthStr" tick={{fontSize: 11}} angle={-45} textAnchor="end" height={50} />
+            <YAxis tickFormatter={formatMan} tick={{fontSize: 11}} />
+            <Legend wrapperStyle={{ fontSize: 11 }} verticalAlign="top" height={24} />
+            <Line type="monotone" dataKey="accumulatedSales" name="累積売上" stroke="#6366f1" strokeWidth={2.5} dot={{ r: 3 }} isAnimationActive={false} />
+            <Line type="monotone" dataKey="accumulatedTotalCost" name="累積コスト" stroke="#f43f5e" strokeWidth={2.5} dot={{ r: 3 }} isAnimationActive={false} />
+            <Line type="monotone" dataKey="cashBalance" name="月末現金残高" stroke="#14b8a6" strokeWidth={2} strokeDasharray="6 3" dot={{ r: 2 }} isAnimationActive={false} />
+            <ReferenceLine y={settings.cash.minCashThreshold} stroke="#dc2626" strokeDasharray="3 3" opacity={0.6} />
+          </LineChart>
+        </ReportPage>
+
+        {/* 月次表 */}
+        {tablePages.map((pageRows, index) => (
+          <ReportPage key={`table-${index}`} pageNumber={4 + index} pageCount={pageCount} footer={footer}>
+            <PageTitle>月次計画{tablePages.length > 1 && `（${index + 1}/${tablePages.length}）`}</PageTitle>
+            <table className="w-full text-[10px] text-right whitespace-nowrap">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="py-1.5 px-1 text-left font-normal">年月</th>
+                  {REPORT_TABLE_COLUMNS.map(col => <th key={col.header} className="py-1.5 px-1 font-normal">{col.header}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map(row => (
+                  <tr key={row.id} className={`border-b border-gray-100 ${row.isClosed ? 'bg-sky-50' : ''}`}>
+                    <td className="py-1 px-1 text-left">{row.monthStr}{row.isClosed && <span className="ml-1 text-sky-600">実績</span>}</td>
+                    {REPORT_TABLE_COLUMNS.map(col => {
+                      const value = col.value(row);
+                      return (
+                        <td key={col.header} className={`py-1 px-1 ${col.format === 'currency' && value < 0 ? 'text-red-600' : ''}`}>
+                          {col.format === 'currency' ? formatCurrency(value) : value}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </ReportPage>
+        ))}
+
+        {/* 備考（メモ欄から） */}
+        {notePages.map((notes, index) => (
+          <ReportPage key={`notes-${index}`} pageNumber={4 + tablePages.length + index} pageCount={pageCount} footer={footer}>
+            <PageTitle>備考{notePages.length > 1 && `（${index + 1}/${notePages.length}）`}</PageTitle>
+            <dl className="text-xs space-y-2">
+              {notes.map(note => (
+                <div key={note.monthStr} className="flex gap-4 border-b border-gray-100 pb-1">
+                  <dt className="w-16 shrink-0 text-gray-500">{note.monthStr}</dt>
+                  <dd className="space-y-0.5">
+                    {note.items.map(item => (
+                      <div key={item.label}><span className="text-gray-400 mr-2">{item.label}</span>{item.text}</div>
+                    ))}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </ReportPage>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReportView;
@@ -0,0 +1,137 @@
+import React from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Dices, Play, Loader2 } from 'lucide-react';
+import { ITERATION_OPTIONS } from '../lib/montecarlo';
+import { formatCurrency, formatMan } from '../lib/format';
+
+const FIELDS = [
+  { key: 'bookingSd', label: '予約件数のばらつき（±%）' },
+  { key: 'busyBookingSd', label: '繁忙期の予約件数のばらつき（±%）' },
+  { key: 'noShowMin', label: 'キャンセル率 下限（%）' },
+  { key: 'noShowMax', label: 'キャンセル率 上限（%）' },
+  { key: 'cogsRatioSd', label: '原価率のばらつき（±pt）' },
+  { key: 'fixedCostSd', label: '固定費のばらつき（±%）' },
+  { key: 'spotCostSd', label: 'スポット費用のばらつき（±%）' },
+  { key: 'personnelSd', label: '人件費のばらつき（±%）' },
+];
+
+const BAND_LABELS = {
+  cumulativeBand: '累積営業利益 P10～P90',
+  cumulativeP50: '累積営業利益 P50',
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// リスク試算（モンテカルロ）の前提と結果。ばらつきは標準偏差で、未締めの月だけを振る
+// 月別営業利益の帯はメインの推移グラフに重ね、ここでは累積営業利益（回収）の帯を表示する
+const RiskPanel = ({ risk, result, progress, error, isStale, onChange, onRun }) => {
+  const isRunning = progress !== null;
+  const chartRows = result
+    ? result.months.map(m => ({ ...m, cumulativeBand: [m.cumulativeP10, m.cumulativeP90] }))
+    : [];
+  const last = result && result.months.length > 0 ? result.months[result.months.length - 1] : null;
+  const firstLikely = result ? result.months.find(m => m.positiveProbability >= 0.5) : null;
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <Dices className="w-5 h-5 text-sky-500" />
+          リスク試算（モンテカルロ）
+        </h2>
+        <div className="flex items-center gap-2 text-sm">
+          <select
+            value={risk.iterations}
+            onChange={(e) => onChange({ ...risk, iterations: Number(e.target.value) })}
+            disabled={isRunning}
+            className="p-1.5 border border-gray-300 rounded focus:border-sky-500 focus:ring-1 focus:ring-sky-500 outline-none"
+          >
+            {ITERATION_OPTIONS.map(n => <option key={n} value={n}>{n.toLocaleString()}回</option>)}
+          </select>
+          <button
+            onClick={onRun}
+            disabled={isRunning}
+            className="flex items-center gap-1 px-3 py-1.5 rounded bg-sky-600 text-white hover:bg-sky-700 transition-colors disabled:opacity-50"
+          >
+            {isRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+            {isRunning ? `計算中 ${Math.round(progress * 100)}%` : 'シミュレーション実行'}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-x-6 gap-y-3 mb-4">
+        {FIELDS.map(({ key, label }) => (
+          <label key={key} className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-gray-500">{label}</span>
+            <input
+              type="number"
+              min="0"
+              value={risk[key]}
+              onChange={(e) => onChange({ ...risk, [key]: Number(e.target.value) })}
+              className="w-20 text-right p-1 border border-gray-300 rounded focus:border-sky-500 focus:ring-1 focus:ring-sky-500 outline-none"
+            />
+          </label>
+        ))}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {!result ? (
+        <p className="text-sm text-gray-400">「シミュレーション実行」で、ばらつきを入れた損益を繰り返し計算し、P10／P50／P90の幅と黒字化の確率を表示します。</p>
+      ) : (
+        <>
+          {isStale && (
+            <p className="text-xs text-amber-600 mb-2">計画が変更されています。最新の計画で見るには再実行してください（推移グラフの帯は非表示にしています）。</p>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div className="p-4 rounded border border-sky-100 bg-sky-50">
+              <div className="text-xs text-gray-500">期末までに累積営業利益が黒字になる確率</div>
+              <div className={`text-2xl font-bold ${result.paybackProbability >= 0.8 ? 'text-emerald-700' : (result.paybackProbability >= 0.5 ? 'text-amber-600' : 'text-red-600')}`}>
+                {formatPercent(result.paybackProbability)}
+              </div>
+              <div className="text-xs text-gray-400">{result.iterations.toLocaleString()}回の試行</div>
+            </div>
+            {last && (
+              <div className="p-4 rounded border border-gray-100">
+                <div className="text-xs text-gray-500">期末の累積営業利益</div>
+                <div className="text-sm mt-1">P10 {formatCurrency(last.cumulativeP10)}</div>
+                <div className="text-sm font-bold">P50 {formatCurrency(last.cumulativeP50)}</div>
+                <div className="text-sm">P90 {formatCurrency(last.cumulativeP90)}</div>
+              </div>
+            )}
+            <div className="p-4 rounded border border-gray-100">
+              <div className="text-xs text-gray-500">累積で黒字の確率が50%を超える月</div>
+              <div className="text-lg font-bold text-gray-700 mt-1">{firstLikely ? firstLikely.monthStr : '期間内はなし'}</div>
+            </div>
+          </div>
+
+          <div className="h-[260px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartRows} margin={{ top: 10, right: 10, bottom: 0, left: 10 }}>
+                <CartesianGrid stroke="#f5f5f5" strokeDasharray="3 3" />
+                <XAxis dataKey="monthStr" tick={{fontSize: 12}} angle={-45} textAnchor="end" height={60} />
+                <YAxis tickFormatter={formatMan} tick={{fontSize: 12}} />
+                <Tooltip
+                  formatter={(value, name) => [
+                    Array.isArray(value) ? `${formatCurrency(value[0])} ～ ${formatCurrency(value[1])}` : formatCurrency(value),
+                    BAND_LABELS[name],
+                  ]}
+                  labelFormatter={(label) => {
+                    const month = result.months.find(m => m.monthStr === label);
+                    return month ? `${label}（黒字の確率 ${formatPercent(month.positiveProbability)}）` : label;
+                  }}
+                  labelStyle={{ color: '#333' }}
+                />
+                <Area type="monotone" dataKey="cumulativeBand" name="cumulativeBand" stroke="none" fill="#0ea5e9" fillOpacity={0.2} />
+                <Line type="monotone" dataKey="cumulativeP50" name="cumulativeP50" stroke="#0284c7" strokeWidth={2} dot={false} />
+                <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="3 3" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default RiskPanel;
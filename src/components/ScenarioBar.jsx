@@ -0,0 +1,88 @@
+import React from 'react';
+import { Layers, Plus, Copy, Pencil, Trash2 } from 'lucide-react';
+import { createScenario, duplicateScenario, MAX_COMPARE } from '../lib/scenarios';
+
+// シナリオの切替・追加・複製・名前変更・削除と、比較対象の選択
+const ScenarioBar = ({ scenarios, activeScenario, compareIds, onSelect, onAdd, onRename, onDelete, onCompareChange }) => {
+  if (!activeScenario) return null;
+
+  const handleAdd = () => {
+    const name = window.prompt('新しいシナリオ名を入力してください（初期データで作成します）');
+    if (name) onAdd(createScenario(name.trim()));
+  };
+
+  const handleDuplicate = () => {
+    const name = window.prompt('複製後のシナリオ名を入力してください', `${activeScenario.name}のコピー`);
+    if (name) onAdd(duplicateScenario(activeScenario, name.trim()));
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('シナリオ名を変更', activeScenario.name);
+    if (name) onRename(activeScenario.id, name.trim());
+  };
+
+  const handleDelete = () => {
+    if (scenarios.length <= 1) {
+      alert('最後のシナリオは削除できません。');
+      return;
+    }
+    if (window.confirm(`シナリオ「${activeScenario.name}」を削除しますか？`)) {
+      onDelete(activeScenario.id);
+    }
+  };
+
+  // 表示中シナリオ＋比較シナリオで最大 MAX_COMPARE 件まで
+  const toggleCompare = (id) => {
+    if (compareIds.includes(id)) {
+      onCompareChange(compareIds.filter(cid => cid !== id));
+    } else if (compareIds.filter(cid => cid !== activeScenario.id).length < MAX_COMPARE - 1) {
+      onCompareChange([...compareIds, id]);
+    }
+  };
+
+  const buttonClass = "flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-sm text-gray-600 hover:bg-gray-100 transition-colors";
+
+  return (
+    <section className="bg-white p-4 rounded-lg shadow border border-gray-100 flex flex-col md:flex-row md:items-center gap-4">
+      <div className="flex items-center gap-2">
+        <Layers className="w-5 h-5 text-indigo-500" />
+        <span className="text-sm font-bold">シナリオ</span>
+        <select
+          value={activeScenario.id}
+          onChange={(e) => onSelect(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1.5 text-sm focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none"
+        >
+          {scenarios.map(s => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button onClick={handleAdd} className={buttonClass} title="新規シナリオ"><Plus className="w-4 h-4" />新規</button>
+        <button onClick={handleDuplicate} className={buttonClass} title="表示中のシナリオを複製"><Copy className="w-4 h-4" />複製</button>
+        <button onClick={handleRename} className={buttonClass} title="名前を変更"><Pencil className="w-4 h-4" /></button>
+        <button onClick={handleDelete} className={`${buttonClass} hover:text-red-600`} title="削除"><Trash2 className="w-4 h-4" /></button>
+      </div>
+
+      {scenarios.length > 1 && (
+        <div className="flex items-center flex-wrap gap-3 text-sm md:ml-auto">
+          <span className="text-xs text-gray-500">比較（最大{MAX_COMPARE}件）:</span>
+          {scenarios.filter(s => s.id !== activeScenario.id).map(s => (
+            <label key={s.id} className="flex items-center gap-1 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={compareIds.includes(s.id)}
+                onChange={() => toggleCompare(s.id)}
+                className="accent-indigo-600"
+              />
+              {s.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ScenarioBar;
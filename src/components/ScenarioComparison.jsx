@@ -0,0 +1,57 @@
+import React from 'react';
+import { formatCurrency } from '../lib/format';
+
+// KPIをシナリオごとに横並びで比較（先頭が表示中シナリオ、差額は先頭との比較）
+const ScenarioComparison = ({ scenarios }) => {
+  const [base] = scenarios;
+  const rows = [
+    { key: 'sales', label: '予測合計売上' },
+    { key: 'cost', label: '予測合計コスト' },
+    { key: 'profit', label: '予測営業利益' },
+    { key: 'margin', label: '平均営業利益率', isPercent: true },
+    { key: 'netProfit', label: '税引後当期純利益' },
+  ];
+
+  const renderDiff = (value, baseValue, isPercent) => {
+    const diff = Number(value) - Number(baseValue);
+    if (diff === 0) return null;
+    const text = isPercent ? `${diff > 0 ? '+' : ''}${diff.toFixed(1)}pt` : `${diff > 0 ? '+' : ''}${formatCurrency(diff)}`;
+    return <div className={`text-xs ${diff > 0 ? 'text-emerald-600' : 'text-red-600'}`}>{text}</div>;
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100 overflow-x-auto">
+      <h2 className="text-lg font-bold mb-4">シナリオ比較</h2>
+      <table className="w-full text-sm whitespace-nowrap">
+        <thead className="text-xs text-gray-700 bg-gray-100 border-b border-gray-200">
+          <tr>
+            <th className="px-4 py-3 text-left">指標</th>
+            {scenarios.map(s => (
+              <th key={s.id} className="px-4 py-3 text-right">
+                <span className="inline-block w-3 h-3 rounded-sm mr-1 align-middle" style={{ backgroundColor: s.color }}></span>
+                {s.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.map(({ key, label, isPercent }) => (
+            <tr key={key}>
+              <td className="px-4 py-2 font-medium text-gray-600">{label}</td>
+              {scenarios.map((s, i) => (
+                <td key={s.id} className="px-4 py-2 text-right">
+                  <div className={key === 'profit' ? (s.summary.profit >= 0 ? 'text-emerald-700 font-bold' : 'text-red-600 font-bold') : ''}>
+                    {isPercent ? `${s.summary[key]}%` : formatCurrency(s.summary[key])}
+                  </div>
+                  {i > 0 && renderDiff(s.summary[key], base.summary[key], isPercent)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default ScenarioComparison;
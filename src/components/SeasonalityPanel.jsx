@@ -0,0 +1,138 @@
+import React from 'react';
+import { CalendarCog, Wand2, LineChart as LineChartIcon } from 'lucide-react';
+import { PLAN_DEFS } from '../lib/drivers';
+import { isBusyMonth, seasonalSales, fitSeasonality, MIN_FIT_MONTHS } from '../lib/seasonality';
+import { formatCurrency } from '../lib/format';
+
+const INPUT_CLASS = 'p-1 border border-gray-300 rounded focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none';
+
+// 季節性プロファイル（月別係数・基準売上・年成長率・プラン構成比）の編集と、
+// 締め済み実績からの推定、未締めの月への予測の反映
+const SeasonalityPanel = ({ seasonality, data, onChange, onGenerate }) => {
+  const maxFactor = Math.max(...seasonality.factors.map(Number), 1);
+  const mixTotal = PLAN_DEFS.reduce((acc, plan) => acc + (Number(seasonality.planMix[plan.key]) || 0), 0);
+
+  const handleChange = (field, value) => onChange({ ...seasonality, [field]: value });
+
+  const handleFactorChange = (index, value) => {
+    handleChange('factors', seasonality.factors.map((f, i) => (i === index ? value : f)));
+  };
+
+  const handleFit = () => {
+    const fitted = fitSeasonality(data, seasonality);
+    if (!fitted) {
+      alert(`実績から推定するには、売上実績のある締め済みの月が${MIN_FIT_MONTHS}ヶ月以上必要です。`);
+      return;
+    }
+    onChange(fitted.seasonality);
+    alert(`締め済み${fitted.sampleCount}ヶ月の実績から推定しました（係数を更新した月: ${fitted.coveredMonths}/12、年成長率: ${fitted.seasonality.growthRate}%）。`);
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <CalendarCog className="w-5 h-5 text-indigo-500" />
+          季節性・予測生成
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={handleFit}
+            className="flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-sm text-gray-600 hover:bg-gray-100 transition-colors"
+            title="締め済みの月の売上実績から月別係数と年成長率を推定します"
+          >
+            <LineChartIcon className="w-4 h-4" />実績から推定
+          </button>
+          <button
+            onClick={onGenerate}
+            className="flex items-center gap-1 px-3 py-1.5 rounded bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition-colors"
+            title="未締めの月の予約件数をこのプロファイルで作り直します"
+          >
+            <Wand2 className="w-4 h-4" />予測を生成
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-6 md:grid-cols-12 gap-2 mb-4">
+        {seasonality.factors.map((factor, i) => {
+          const busy = isBusyMonth(seasonality, i + 1);
+          return (
+            <div key={i} className="flex flex-col items-center gap-1">
+              <div className="h-16 w-full flex items-end justify-center bg-gray-50 rounded">
+                <div
+                  className={`w-4 rounded-t ${busy ? 'bg-red-400' : 'bg-indigo-300'}`}
+                  style={{ height: `${Math.max(Number(factor) || 0, 0) / maxFactor * 100}%` }}
+                  title={formatCurrency(seasonalSales(seasonality, i + 1))}
+                ></div>
+              </div>
+              <span className={`text-xs ${busy ? 'text-red-600 font-bold' : 'text-gray-500'}`}>{i + 1}月</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={factor}
+                onChange={(e) => handleFactorChange(i, Number(e.target.value))}
+                className={`w-full text-right text-xs ${INPUT_CLASS}`}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-3 text-sm">
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">基準売上（係数1.0の月・円）</span>
+          <input
+            type="number"
+            min="0"
+            step="100000"
+            value={seasonality.baseSales}
+            onChange={(e) => handleChange('baseSales', Number(e.target.value))}
+            className={`w-32 text-right ${INPUT_CLASS}`}
+          />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">年成長率（%）</span>
+          <input
+            type="number"
+            step="0.5"
+            value={seasonality.growthRate}
+            onChange={(e) => handleChange('growthRate', Number(e.target.value))}
+            className={`w-32 text-right ${INPUT_CLASS}`}
+          />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">繁忙期とする係数（以上）</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={seasonality.busyThreshold}
+            onChange={(e) => handleChange('busyThreshold', Number(e.target.value))}
+            className={`w-32 text-right ${INPUT_CLASS}`}
+          />
+        </label>
+        {PLAN_DEFS.map(plan => (
+          <label key={plan.key} className="flex items-center justify-between gap-2">
+            <span className="text-gray-500">{plan.label}の構成比（%）</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={seasonality.planMix[plan.key]}
+              onChange={(e) => handleChange('planMix', { ...seasonality.planMix, [plan.key]: Number(e.target.value) })}
+              className={`w-32 text-right ${INPUT_CLASS}`}
+            />
+          </label>
+        ))}
+      </div>
+      <p className={`text-xs mt-3 ${mixTotal === 100 ? 'text-gray-500' : 'text-amber-600'}`}>
+        {mixTotal === 100
+          ? '月の売上目安＝基準売上×係数×（1＋年成長率）^経過年数。構成比で分けて単価で割った件数を予測として入れます（締め済みの月は変更しません）。'
+          : `構成比の合計が${mixTotal}%です（100%にそろえてください）。`}
+      </p>
+    </section>
+  );
+};
+
+export default SeasonalityPanel;
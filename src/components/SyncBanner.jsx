@@ -0,0 +1,42 @@
+import React from 'react';
+import { AlertTriangle, Download, Upload } from 'lucide-react';
+
+// 保存の競合・エラー時の案内と解消ボタン
+const SyncBanner = ({ status, error, onReload, onForceSave, onRetry }) => {
+  if (status === 'conflict') {
+    return (
+      <div className="p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700 flex flex-col md:flex-row md:items-center gap-3">
+        <div className="flex items-center gap-2 font-bold">
+          <AlertTriangle className="w-4 h-4" />
+          読み込み後に保存先のデータが別の場所で更新されています。上書きを避けるため保存を止めました。
+        </div>
+        <div className="flex gap-2 md:ml-auto">
+          <button onClick={onReload} className="flex items-center gap-1 px-3 py-1.5 rounded border border-red-300 bg-white hover:bg-red-100 transition-colors">
+            <Download className="w-4 h-4" />保存先の内容を読み込む
+          </button>
+          <button onClick={onForceSave} className="flex items-center gap-1 px-3 py-1.5 rounded bg-red-600 text-white hover:bg-red-700 transition-colors">
+            <Upload className="w-4 h-4" />この端末の内容で上書き
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'error' || error) {
+    return (
+      <div className="p-4 rounded-lg border border-amber-200 bg-amber-50 text-sm text-amber-800 flex items-center gap-3">
+        <AlertTriangle className="w-4 h-4" />
+        <span>{error || '保存に失敗しました。'} 編集内容はこの端末に保存されています。</span>
+        {status === 'error' && (
+          <button onClick={onRetry} className="ml-auto px-3 py-1.5 rounded border border-amber-300 bg-white hover:bg-amber-100 transition-colors">
+            再試行
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default SyncBanner;
@@ -0,0 +1,213 @@
+import React from 'react';
+import { Landmark, Plus, Trash2 } from 'lucide-react';
+import { PRICE_MODES } from '../lib/tax';
+import { REPAYMENT_METHODS, createLoan, loanSchedule } from '../lib/loans';
+import { formatCurrency } from '../lib/format';
+
+const INPUT_CLASS = 'p-1 border border-gray-300 rounded focus:border-lime-600 focus:ring-1 focus:ring-lime-600 outline-none';
+
+const TAXABLE_SHARES = [
+  { key: 'cogs', label: '売上原価' },
+  { key: 'fixedCost', label: '固定費' },
+  { key: 'spotCost', label: 'スポット費用' },
+];
+
+// 税（消費税・法人税等）と借入金の設定。月次表の経常利益・税引後利益・税と借入の資金影響に使う
+const TaxLoanPanel = ({ tax, loans, chartData, onTaxChange, onLoansChange }) => {
+  const periodEnd = chartData.length > 0 ? chartData[chartData.length - 1] : null;
+  const totalTaxPayment = chartData.reduce((acc, row) => acc + row.taxPayment, 0);
+
+  const handleTaxChange = (field, value) => onTaxChange({ ...tax, [field]: value });
+
+  const handleLoanChange = (id, field, value) => {
+    onLoansChange(loans.map(loan => (loan.id === id ? { ...loan, [field]: value } : loan)));
+  };
+
+  const handleAddLoan = () => {
+    onLoansChange([...loans, createLoan(chartData.length > 0 ? chartData[0].monthStr : '')]);
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <h2 className="text-lg font-bold flex items-center gap-2 mb-4">
+        <Landmark className="w-5 h-5 text-lime-600" />
+        税金・借入金
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-3 text-sm mb-2">
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">金額の入力</span>
+          <select value={tax.priceMode} onChange={(e) => handleTaxChange('priceMode', e.target.value)} className={`w-32 ${INPUT_CLASS}`}>
+            {PRICE_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">消費税率（%）</span>
+          <input
+            type="number"
+            min="0"
+            value={tax.consumptionTaxRate}
+            onChange={(e) => handleTaxChange('consumptionTaxRate', Number(e.target.value))}
+            className={`w-32 text-right ${INPUT_CLASS}`}
+          />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">法人税等の実効税率（%）</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={tax.corporateTaxRate}
+            onChange={(e) => handleTaxChange('corporateTaxRate', Number(e.target.value))}
+            className={`w-32 text-right ${INPUT_CLASS}`}
+          />
+        </label>
+        {TAXABLE_SHARES.map(({ key, label }) => (
+          <label key={key} className="flex items-center justify-between gap-2">
+            <span className="text-gray-500">{label}のうち課税仕入（%）</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={tax.taxableShare[key]}
+              onChange={(e) => handleTaxChange('taxableShare', { ...tax.taxableShare, [key]: Number(e.target.value) })}
+              className={`w-32 text-right ${INPUT_CLASS}`}
+            />
+          </label>
+        ))}
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">納付（決算月の何ヶ月後）</span>
+          <input
+            type="number"
+            min="0"
+            value={tax.paymentLagMonths}
+            onChange={(e) => handleTaxChange('paymentLagMonths', Number(e.target.value))}
+            className={`w-32 text-right ${INPUT_CLASS}`}
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mb-6">
+        {tax.priceMode === 'inclusive'
+          ? '税込入力：納める消費税（売上の消費税－仕入の消費税）を費用として経常利益から差し引きます。'
+          : '税抜入力：消費税は売上・仕入と一緒に受け払いし、年度分の差額を納付月に支払います（損益には影響しません）。'}
+        法人税等は年度の累計経常利益がプラスの分に実効税率を掛けて計上します（中間申告は考慮しません）。期間内の納付額: {formatCurrency(totalTaxPayment)}
+      </p>
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-600">借入金</h3>
+        <button
+          onClick={handleAddLoan}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-lime-200 text-xs text-lime-700 hover:bg-lime-50 transition-colors"
+        >
+          <Plus className="w-3 h-3" />借入を追加
+        </button>
+      </div>
+      {loans.length === 0 ? (
+        <p className="text-xs text-gray-400">借入なし</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm whitespace-nowrap">
+            <thead className="text-xs text-gray-500 text-left">
+              <tr>
+                <th className="py-1 pr-2 font-normal">名称</th>
+                <th className="py-1 pr-2 font-normal text-right">借入額（円）</th>
+                <th className="py-1 pr-2 font-normal text-right">年利（%）</th>
+                <th className="py-1 pr-2 font-normal">借入月</th>
+                <th className="py-1 pr-2 font-normal text-right">返済期間（月）</th>
+                <th className="py-1 pr-2 font-normal text-right">据置（月）</th>
+                <th className="py-1 pr-2 font-normal">返済方法</th>
+                <th className="py-1 pr-2 font-normal text-right">初回返済額</th>
+                <th className="py-1 font-normal"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loans.map(loan => {
+                const first = loanSchedule(loan).find(s => s.principal > 0);
+                return (
+                  <tr key={loan.id}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={loan.name}
+                        onChange={(e) => handleLoanChange(loan.id, 'name', e.target.value)}
+                        placeholder="例：日本政策金融公庫"
+                        className={`w-40 ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="100000"
+                        value={loan.principal}
+                        onChange={(e) => handleLoanChange(loan.id, 'principal', Number(e.target.value))}
+                        className={`w-32 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={loan.annualRate}
+                        onChange={(e) => handleLoanChange(loan.id, 'annualRate', Number(e.target.value))}
+                        className={`w-20 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="month"
+                        value={loan.startMonth}
+                        onChange={(e) => handleLoanChange(loan.id, 'startMonth', e.target.value)}
+                        className={INPUT_CLASS}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="1"
+                        value={loan.termMonths}
+                        onChange={(e) => handleLoanChange(loan.id, 'termMonths', Number(e.target.value))}
+                        className={`w-20 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        value={loan.graceMonths}
+                        onChange={(e) => handleLoanChange(loan.id, 'graceMonths', Number(e.target.value))}
+                        className={`w-16 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select value={loan.method} onChange={(e) => handleLoanChange(loan.id, 'method', e.target.value)} className={INPUT_CLASS}>
+                        {REPAYMENT_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2 text-right text-gray-600">
+                      {first ? `${formatCurrency(first.principal + first.interest)}（${first.monthStr}）` : '-'}
+                    </td>
+                    <td className="py-1 text-right">
+                      <button onClick={() => onLoansChange(loans.filter(l => l.id !== loan.id))} title="削除" className="text-gray-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {periodEnd && loans.length > 0 && (
+        <p className="text-sm text-gray-600 mt-3">
+          期末（{periodEnd.monthStr}）の借入残高: <span className="font-bold">{formatCurrency(periodEnd.loanBalance)}</span>
+          <span className="ml-4">期間中の支払利息: <span className="font-bold">{formatCurrency(chartData.reduce((acc, row) => acc + row.interest, 0))}</span></span>
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default TaxLoanPanel;
@@ -0,0 +1,310 @@
+import React, { useState } from 'react';
+import { ComposedChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Store, Plus, Trash2 } from 'lucide-react';
+import { PLAN_DEFS } from '../lib/drivers';
+import { SHARED_COST_RULES, createUnit, standardUnits, planShareTotals, summarizeUnits, setUnitActualSales } from '../lib/units';
+import { formatCurrency, formatMan } from '../lib/format';
+
+const INPUT_CLASS = 'p-1 border border-gray-300 rounded focus:border-fuchsia-500 focus:ring-1 focus:ring-fuchsia-500 outline-none';
+
+// グラフの拠点ごとの色（拠点の並び順で使う）
+const UNIT_COLORS = ['#c026d3', '#0ea5e9', '#f59e0b', '#10b981', '#6366f1', '#ef4444'];
+const unitColor = (index) => UNIT_COLORS[index % UNIT_COLORS.length];
+
+const CONSOLIDATED = 'all';
+
+// 店舗・チャネル別の損益。全体（連結）では拠点を並べて比べ、拠点を選ぶとその拠点の月次を表示する
+const UnitsPanel = ({ units, sharedCostRule, breakdown, onUnitsChange, onRuleChange }) => {
+  const [view, setView] = useState(CONSOLIDATED);
+  const selectedIndex = units.findIndex(unit => unit.id === view);
+  const totals = planShareTotals(units);
+  const unitSummaries = summarizeUnits(breakdown, units);
+  const sumOf = (key) => unitSummaries.reduce((acc, s) => acc + s[key], 0);
+  const consolidatedSales = sumOf('sales');
+  const consolidatedProfit = sumOf('operatingProfit');
+
+  const handleChange = (id, field, value) => {
+    onUnitsChange(units.map(unit => (unit.id === id ? { ...unit, [field]: value } : unit)));
+  };
+
+  // 締めた月の拠点の売上実績（空欄は全体の実績を配分）
+  const handleActualSalesChange = (unit, monthStr, text) => {
+    onUnitsChange(units.map(u => (u.id === unit.id ? setUnitActualSales(u, monthStr, text === '' ? '' : Number(text)) : u)));
+  };
+
+  const hasAllocatedActuals = breakdown.some(month => month.isAllocatedActual);
+  const unmatchedMonths = breakdown.filter(month => month.unmatchedSales !== 0);
+
+  const chartRows = breakdown.map(month => ({
+    monthStr: month.monthStr,
+    isAllocatedActual: month.isAllocatedActual,
+    ...Object.fromEntries(month.units.map(u => [u.id, u.operatingProfit])),
+  }));
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <Store className="w-5 h-5 text-fuchsia-600" />
+          店舗・チャネル別損益
+        </h2>
+        {units.length > 0 && (
+          <div className="flex items-center gap-3 text-sm">
+            <label className="flex items-center gap-2">
+              <span className="text-gray-500">共通費の配賦</span>
+              <select value={sharedCostRule} onChange={(e) => onRuleChange(e.target.value)} className={INPUT_CLASS}>
+                {SHARED_COST_RULES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-500">表示</span>
+              <select value={selectedIndex === -1 ? CONSOLIDATED : view} onChange={(e) => setView(e.target.value)} className={INPUT_CLASS}>
+                <option value={CONSOLIDATED}>全体（連結）</option>
+                {units.map(unit => <option key={unit.id} value={unit.id}>{unit.name || '（名称未設定）'}</option>)}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      {units.length === 0 ? (
+        <div className="text-sm text-gray-500">
+          <p className="mb-3">店頭・オンライン・スタジオなど拠点ごとに、プラン別の売上の取り分と共通費の負担を決めると、どの拠点が利益を出しているかを比べられます。</p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onUnitsChange(standardUnits())}
+              className="px-3 py-1.5 rounded bg-fuchsia-600 text-white text-sm hover:bg-fuchsia-700 transition-colors"
+            >
+              標準の3拠点で始める
+            </button>
+            <button
+              onClick={() => onUnitsChange([createUnit()])}
+              className="flex items-center gap-1 px-3 py-1.5 rounded border border-fuchsia-200 text-sm text-fuchsia-700 hover:bg-fuchsia-50 transition-colors"
+            >
+              <Plus className="w-4 h-4" />拠点を追加
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto mb-2">
+            <table className="w-full text-sm whitespace-nowrap">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="py-1 pr-2 font-normal">拠点</th>
+                  {PLAN_DEFS.map(p => <th key={p.key} className="py-1 pr-2 font-normal text-right">{p.label}の取り分（%）</th>)}
+                  <th className="py-1 pr-2 font-normal text-right">共通費の固定比率（%）</th>
+                  <th className="py-1 font-normal"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {units.map((unit, index) => (
+                  <tr key={unit.id}>
+                    <td className="py-1 pr-2">
+                      <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ backgroundColor: unitColor(index) }}></span>
+                      <input
+                        type="text"
+                        value={unit.name}
+                        onChange={(e) => handleChange(unit.id, 'name', e.target.value)}
+                        placeholder="拠点名"
+                        className={`w-40 ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    {PLAN_DEFS.map(p => (
+                      <td key={p.key} className="py-1 pr-2 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={unit.planShares[p.key]}
+                          onChange={(e) => handleChange(unit.id, 'planShares', { ...unit.planShares, [p.key]: Number(e.target.value) })}
+                          className={`w-20 text-right ${INPUT_CLASS}`}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 pr-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={unit.fixedShare}
+                        onChange={(e) => handleChange(unit.id, 'fixedShare', Number(e.target.value))}
+                        className={`w-20 text-right ${INPUT_CLASS}`}
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <button onClick={() => onUnitsChange(units.filter(u => u.id !== unit.id))} title="削除" className="text-gray-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                <tr className="text-xs text-gray-500">
+                  <td className="py-1 pr-2">
+                    <button
+                      onClick={() => onUnitsChange([...units, createUnit()])}
+                      className="flex items-center gap-1 px-2 py-1 rounded border border-fuchsia-200 text-fuchsia-700 hover:bg-fuchsia-50 transition-colors"
+                    >
+                      <Plus className="w-3 h-3" />拠点を追加
+                    </button>
+                  </td>
+                  {PLAN_DEFS.map(p => (
+                    <td key={p.key} className={`py-1 pr-2 text-right ${totals[p.key] === 100 ? '' : 'text-red-600 font-bold'}`}>
+                      計 {totals[p.key]}%
+                    </td>
+                  ))}
+                  <td className="py-1 pr-2 text-right">
+                    計 {units.reduce((acc, unit) => acc + (Number(unit.fixedShare) || 0), 0)}%
+                  </td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mb-6">
+            取り分の合計が100%でないプランは、入力した比率で按分し直します。費用の内訳で拠点を指定した明細はその拠点の直接費、それ以外の費用（減価償却費を含む）は共通費として配賦します。
+            {hasAllocatedActuals && (
+              <span className="block mt-1 text-amber-700">
+                締めた月（「実績を配分」の月）は、全体の実績を計画の取り分・構成比で拠点に配分した値です。拠点ごとに集計した実績ではありません。拠点を選ぶと、締めた月の売上実績を拠点ごとに入力できます。
+              </span>
+            )}
+            {unmatchedMonths.length > 0 && (
+              <span className="block mt-1 text-red-600">
+                拠点の売上実績の合計が全体の実績と合わない月があります（{unmatchedMonths.map(month => `${month.monthStr}：${month.unmatchedSales > 0 ? '+' : ''}${formatCurrency(month.unmatchedSales)}`).join('、')}。全体の実績との差）。
+              </span>
+            )}
+          </p>
+
+          {selectedIndex === -1 ? (
+            <>
+              <div className="overflow-x-auto mb-6">
+                <table className="w-full text-sm text-right whitespace-nowrap">
+                  <thead className="text-xs text-gray-500">
+                    <tr className="border-b border-gray-200">
+                      <th className="py-2 pr-2 font-normal text-left">拠点</th>
+                      <th className="py-2 pr-2 font-normal">売上</th>
+                      <th className="py-2 pr-2 font-normal">粗利</th>
+                      <th className="py-2 pr-2 font-normal">直接費</th>
+                      <th className="py-2 pr-2 font-normal">共通費（配賦）</th>
+                      <th className="py-2 pr-2 font-normal">営業利益</th>
+                      <th className="py-2 pr-2 font-normal">利益率</th>
+                      <th className="py-2 font-normal">利益の構成比</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {unitSummaries.map((s, index) => (
+                      <tr key={s.id} className="border-b border-gray-100">
+                        <td className="py-2 pr-2 text-left">
+                          <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ backgroundColor: unitColor(index) }}></span>
+                          {s.name || '（名称未設定）'}
+                        </td>
+                        <td className="py-2 pr-2">{formatCurrency(s.sales)}</td>
+                        <td className="py-2 pr-2">{formatCurrency(s.grossProfit)}</td>
+                        <td className="py-2 pr-2">{formatCurrency(s.directCost)}</td>
+                        <td className="py-2 pr-2">{formatCurrency(s.sharedCost)}</td>
+                        <td className={`py-2 pr-2 font-bold ${s.operatingProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(s.operatingProfit)}</td>
+                        <td className="py-2 pr-2">{s.margin}%</td>
+                        <td className="py-2">{consolidatedProfit !== 0 ? `${((s.operatingProfit / consolidatedProfit) * 100).toFixed(1)}%` : '-'}</td>
+                      </tr>
+                    ))}
+                    <tr className="font-bold bg-gray-50">
+                      <td className="py-2 pr-2 text-left">全体（連結）</td>
+                      <td className="py-2 pr-2">{formatCurrency(consolidatedSales)}</td>
+                      <td className="py-2 pr-2">{formatCurrency(sumOf('grossProfit'))}</td>
+                      <td className="py-2 pr-2">{formatCurrency(sumOf('directCost'))}</td>
+                      <td className="py-2 pr-2">{formatCurrency(sumOf('sharedCost'))}</td>
+                      <td className={`py-2 pr-2 ${consolidatedProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(consolidatedProfit)}</td>
+                      <td className="py-2 pr-2">{consolidatedSales > 0 ? ((consolidatedProfit / consolidatedSales) * 100).toFixed(1) : '0.0'}%</td>
+                      <td className="py-2">100%</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+
+              <h3 className="text-sm font-medium text-gray-600 mb-2">拠点別の営業利益（月次・積み上げ）</h3>
+              <div className="h-[280px] w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={chartRows} stackOffset="sign" margin={{ top: 10, right: 10, bottom: 0, left: 10 }}>
+                    <CartesianGrid stroke="#f5f5f5" strokeDasharray="3 3" />
+                    <XAxis dataKey="monthStr" tick={{fontSize: 12}} angle={-45} textAnchor="end" height={60} />
+                    <YAxis tickFormatter={formatMan} tick={{fontSize: 12}} />
+                    <Tooltip
+                      formatter={(value) => formatCurrency(value)}
+                      labelFormatter={(label, payload) => (payload?.[0]?.payload.isAllocatedActual ? `${label}（実績を配分）` : label)}
+                      labelStyle={{ color: '#333' }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    {units.map((unit, index) => (
+                      <Bar key={unit.id} dataKey={unit.id} name={unit.name || '（名称未設定）'} stackId="units" fill={unitColor(index)} barSize={18} />
+                    ))}
+                    <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="3 3" opacity={0.5} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-right whitespace-nowrap">
+                <thead className="text-xs text-gray-500">
+                  <tr className="border-b border-gray-200">
+                    <th className="py-2 pr-2 font-normal text-left">年月</th>
+                    <th className="py-2 pr-2 font-normal">売上</th>
+                    <th className="py-2 pr-2 font-normal">原価</th>
+                    <th className="py-2 pr-2 font-normal">直接費</th>
+                    <th className="py-2 pr-2 font-normal">共通費（配賦）</th>
+                    <th className="py-2 pr-2 font-normal">営業利益</th>
+                    <th className="py-2 font-normal">利益率</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breakdown.map(month => {
+                    const u = month.units[selectedIndex];
+                    return (
+                      <tr key={month.monthStr} className="border-b border-gray-100">
+                        <td className="py-1.5 pr-2 text-left">
+                          {month.monthStr}
+                          {month.isClosed && !u.isActual && (
+                            <span className="ml-2 text-[10px] text-amber-700" title="全体の実績を計画の構成比で配分した値（拠点ごとの実績ではありません）">実績を配分</span>
+                          )}
+                        </td>
+                        <td className="py-1.5 pr-2">
+                          {month.isClosed ? (
+                            <input
+                              type="number"
+                              min="0"
+                              value={units[selectedIndex].actualSales?.[month.monthStr] ?? ''}
+                              onChange={(e) => handleActualSalesChange(units[selectedIndex], month.monthStr, e.target.value)}
+                              placeholder={u.sales.toLocaleString('ja-JP')}
+                              title="この拠点の売上実績（空欄は全体の実績を配分）"
+                              className={`w-32 text-right ${INPUT_CLASS}`}
+                            />
+                          ) : formatCurrency(u.sales)}
+                        </td>
+                        <td className="py-1.5 pr-2">{formatCurrency(u.cogs)}</td>
+                        <td className="py-1.5 pr-2">{formatCurrency(u.directCost)}</td>
+                        <td className="py-1.5 pr-2">{formatCurrency(u.sharedCost)}</td>
+                        <td className={`py-1.5 pr-2 font-bold ${u.operatingProfit >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(u.operatingProfit)}</td>
+                        <td className="py-1.5">{u.sales > 0 ? ((u.operatingProfit / u.sales) * 100).toFixed(1) : '0.0'}%</td>
+                      </tr>
+                    );
+                  })}
+                  <tr className="font-bold bg-gray-50">
+                    <td className="py-2 pr-2 text-left">期間合計</td>
+                    <td className="py-2 pr-2">{formatCurrency(unitSummaries[selectedIndex].sales)}</td>
+                    <td className="py-2 pr-2">{formatCurrency(unitSummaries[selectedIndex].sales - unitSummaries[selectedIndex].grossProfit)}</td>
+                    <td className="py-2 pr-2">{formatCurrency(unitSummaries[selectedIndex].directCost)}</td>
+                    <td className="py-2 pr-2">{formatCurrency(unitSummaries[selectedIndex].sharedCost)}</td>
+                    <td className="py-2 pr-2">{formatCurrency(unitSummaries[selectedIndex].operatingProfit)}</td>
+                    <td className="py-2">{unitSummaries[selectedIndex].margin}%</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default UnitsPanel;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { createDefaultWhatIf, isWhatIfActive } from '../lib/whatif';
+import { formatCurrency, formatMan } from '../lib/format';
+
+const SLIDERS = [
+  { key: 'salesPct', label: '売上', min: -50, max: 50, step: 5, unit: '%' },
+  { key: 'cogsRatioPt', label: '原価率', min: -10, max: 10, step: 1, unit: 'pt' },
+  { key: 'fixedCostPct', label: '固定費', min: -30, max: 30, step: 5, unit: '%' },
+  { key: 'spotCostPct', label: 'スポット費用', min: -50, max: 50, step: 5, unit: '%' },
+  { key: 'staffDelta', label: '人員', min: -3, max: 3, step: 1, unit: '名' },
+];
+
+const formatDelta = (value, unit) => `${value > 0 ? '+' : ''}${value}${unit}`;
+
+// What-if スライダーと感度分析（トルネード図）
+const WhatIfPanel = ({ whatIf, tornado, onChange }) => {
+  const isActive = isWhatIfActive(whatIf);
+
+  return (
+    <section className={`bg-white p-6 rounded-lg shadow border ${isActive ? 'border-amber-300' : 'border-gray-100'}`}>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <SlidersHorizontal className="w-5 h-5 text-amber-500" />
+          What-if・感度分析
+          {isActive && <span className="text-xs font-medium bg-amber-100 text-amber-700 px-2 py-0.5 rounded">適用中（保存データは変更されません）</span>}
+        </h2>
+        <button
+          onClick={() => onChange({ ...createDefaultWhatIf(), staffMonthlyCost: whatIf.staffMonthlyCost })}
+          disabled={!isActive}
+          className="flex items-center gap-1 px-3 py-1.5 rounded border border-gray-200 text-sm text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40"
+        >
+          <RotateCcw className="w-4 h-4" />リセット
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* スライダー */}
+        <div className="space-y-3">
+          {SLIDERS.map(({ key, label, unit, ...rangeProps }) => (
+            <label key={key} className="grid grid-cols-[100px_1fr_60px] items-center gap-3 text-sm">
+              <span className="text-gray-600">{label}</span>
+              <input
+                type="range"
+                {...rangeProps}
+                value={whatIf[key]}
+                onChange={(e) => onChange({ ...whatIf, [key]: Number(e.target.value) })}
+                className="accent-amber-500"
+              />
+              <span className={`text-right font-medium ${whatIf[key] !== 0 ? 'text-amber-700' : 'text-gray-400'}`}>
+                {formatDelta(whatIf[key], unit)}
+              </span>
+            </label>
+          ))}
+          <label className="flex items-center justify-between gap-2 text-sm pt-2 border-t border-gray-100">
+            <span className="text-gray-500">1名あたり月額人件費（円）</span>
+            <input
+              type="number"
+              min="0"
+              step="10000"
+              value={whatIf.staffMonthlyCost}
+              onChange={(e) => onChange({ ...whatIf, staffMonthlyCost: Number(e.target.value) })}
+              className="w-32 text-right p-1 border border-gray-300 rounded focus:border-amber-500 focus:ring-1 focus:ring-amber-500 outline-none"
+            />
+          </label>
+          <p className="text-xs text-gray-500">※ 締め済み（実績）の月には適用されません。</p>
+        </div>
+
+        {/* トルネード図 */}
+        <div>
+          <h3 className="text-sm font-medium text-gray-600 mb-2">期間営業利益への影響（感度の大きい順）</h3>
+          <div className="h-[280px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={tornado} layout="vertical" stackOffset="sign" margin={{ top: 0, right: 20, bottom: 0, left: 10 }}>
+                <CartesianGrid stroke="#f5f5f5" strokeDasharray="3 3" />
+                <XAxis type="number" tickFormatter={formatMan} tick={{fontSize: 11}} />
+                <YAxis type="category" dataKey="label" width={120} tick={{fontSize: 11}} />
+                <Tooltip
+                  formatter={(value, name) => [formatCurrency(value), name === 'low' ? '入力を下げた場合' : '入力を上げた場合']}
+                  labelStyle={{ color: '#333' }}
+                />
+                <Bar dataKey="low" name="low" stackId="tornado" fill="#38bdf8" />
+                <Bar dataKey="high" name="high" stackId="tornado" fill="#fbbf24" />
+                <ReferenceLine x={0} stroke="#6b7280" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default WhatIfPanel;
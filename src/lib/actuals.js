@@ -0,0 +1,45 @@
+// 予実管理（締め済みの月は実績値、それ以外は計画値を採用する）
+
+// 計画項目と実績入力項目の対応（extraField は計画値に上乗せする項目。実績はそれを含めた総額で入力する）
+export const ACTUAL_FIELDS = [
+  { field: 'sales', actualField: 'actualSales', label: '売上' },
+  { field: 'cogs', actualField: 'actualCogs', label: '原価' },
+  { field: 'fixedCost', actualField: 'actualFixedCost', label: '固定費' },
+  { field: 'spotCost', actualField: 'actualSpotCost', label: 'スポット' },
+  { field: 'personnel', actualField: 'actualPersonnel', label: '人件費', extraField: 'eventPersonnel' },
+];
+
+// 計画値（上乗せ項目を含む）
+export const planValue = (row, { field, extraField }) =>
+  (Number(row[field]) || 0) + (extraField ? Number(row[extraField]) || 0 : 0);
+
+// 実績が未入力（空欄）の項目は計画値で補う
+const pickValue = (row, def) => {
+  const actual = row[def.actualField];
+  if (actual === '' || actual === null || actual === undefined) return planValue(row, def);
+  return Number(actual) || 0;
+};
+
+// その月に採用する値（締め済みなら実績、未締めなら計画）
+export const resolveMonth = (row) => {
+  const resolved = {};
+  ACTUAL_FIELDS.forEach(def => {
+    resolved[def.field] = row.isClosed ? pickValue(row, def) : planValue(row, def);
+  });
+  return resolved;
+};
+
+// 月を締めるときに、未入力の実績欄へ計画値を下書きとして入れる
+export const seedActuals = (row) => {
+  const seeded = { ...row };
+  ACTUAL_FIELDS.forEach(def => {
+    if (seeded[def.actualField] === '' || seeded[def.actualField] === undefined) seeded[def.actualField] = planValue(row, def);
+  });
+  return seeded;
+};
+
+// 差異（額と計画比 %）
+export const variance = (actual, plan) => ({
+  amount: actual - plan,
+  rate: plan !== 0 ? (((actual - plan) / Math.abs(plan)) * 100).toFixed(1) : null,
+});
@@ -0,0 +1,118 @@
+// 着物在庫（レンタル用の振袖・袴・小物）の減価償却と稼働・回収の試算
+import { monthDiff } from './months';
+import { createId } from './ids';
+
+export const ASSET_TYPES = [
+  { key: 'furisode', label: '振袖', defaultLifeYears: 3 },
+  { key: 'hakama', label: '袴', defaultLifeYears: 3 },
+  { key: 'accessory', label: '小物', defaultLifeYears: 2 },
+];
+
+export const DEPRECIATION_METHODS = [
+  { key: 'straightLine', label: '定額法' },
+  { key: 'decliningBalance', label: '定率法（200%）' },
+];
+
+// 償却後に帳簿に残す備忘価額
+const RESIDUAL_VALUE = 1;
+
+// cost は購入額の合計（quantity 点分）。購入月から月割りで償却する
+export const createAsset = (type = 'furisode', purchaseMonth = '') => ({
+  id: createId('a'),
+  name: '',
+  type,
+  quantity: 1,
+  cost: 0,
+  purchaseMonth,
+  usefulLifeYears: ASSET_TYPES.find(t => t.key === type)?.defaultLifeYears ?? 3,
+  method: 'straightLine',
+});
+
+// 購入月から耐用年数が終わるまでの月別償却額（円）
+// 定率法は償却率 2/耐用年数 を年単位で掛け、残額を残り期間で均等に割った額を下回ったら均等償却に切り替える（保証率を使わない簡易計算）
+export const depreciationSchedule = (asset) => {
+  const cost = Number(asset.cost) || 0;
+  const months = Math.max(Math.round((Number(asset.usefulLifeYears) || 0) * 12), 1);
+  const depreciable = Math.max(cost - RESIDUAL_VALUE, 0);
+  if (!asset.purchaseMonth || depreciable === 0) return [];
+
+  const monthly = [];
+  if (asset.method === 'decliningBalance') {
+    const rate = 24 / months;
+    let book = cost;
+    for (let start = 0; start < months; start += 12) {
+      const yearMonths = Math.min(12, months - start);
+      const evenly = (book - RESIDUAL_VALUE) * yearMonths / (months - start);
+      const yearly = Math.min(Math.max(book * rate * yearMonths / 12, evenly), book - RESIDUAL_VALUE);
+      for (let i = 0; i < yearMonths; i++) monthly.push(yearly / yearMonths);
+      book -= yearly;
+    }
+  } else {
+    for (let i = 0; i < months; i++) monthly.push(depreciable / months);
+  }
+
+  // 累計で丸めて端数を後ろの月に寄せる（合計が取得価額－備忘価額に一致する）
+  let acc = 0;
+  let rounded = 0;
+  return monthly.map((amount, i) => {
+    acc += amount;
+    const next = i === monthly.length - 1 ? depreciable : Math.round(acc);
+    const value = next - rounded;
+    rounded = next;
+    return value;
+  });
+};
+
+// その月の減価償却費の合計
+export const depreciationForMonth = (assets, monthStr) => assets.reduce((acc, asset) => {
+  if (!asset.purchaseMonth) return acc;
+  const index = monthDiff(asset.purchaseMonth, monthStr);
+  const schedule = depreciationSchedule(asset);
+  return acc + (index >= 0 && index < schedule.length ? schedule[index] : 0);
+}, 0);
+
+// その月に購入代金を支払う額（資金繰りの支出）
+export const purchasesForMonth = (assets, monthStr) =>
+  assets.filter(asset => asset.purchaseMonth === monthStr).reduce((acc, asset) => acc + (Number(asset.cost) || 0), 0);
+
+// 月次行に減価償却費（損益）と購入額（資金繰り）を載せる
+export const applyAssets = (row, assets = []) => ({
+  ...row,
+  depreciation: depreciationForMonth(assets, row.monthStr),
+  assetPurchase: purchasesForMonth(assets, row.monthStr),
+});
+
+// 在庫ごとの稼働と投資回収（計画期間内）
+// 各月のレンタル件数（イベントの上乗せ分を含む）を、その月に保有している在庫へ点数の比で割り振り、
+// レンタル単価×（1－原価率）の粗利が購入額に届いた月を回収月とする
+export const buildAssetUtilization = (assets, data, plans) => {
+  const unitProfit = (Number(plans.rental.price) || 0) * (1 - (Number(plans.rental.costRatio) || 0) / 100);
+  const stats = Object.fromEntries(assets.map(asset => [asset.id, { rentals: 0, grossProfit: 0, monthsHeld: 0, paybackMonth: null }]));
+
+  data.forEach(row => {
+    const held = assets.filter(asset => asset.purchaseMonth && asset.purchaseMonth <= row.monthStr && Number(asset.quantity) > 0);
+    const pieces = held.reduce((acc, asset) => acc + Number(asset.quantity), 0);
+    const rentalCount = (Number(row.rentalCount) || 0) + (Number(row.eventRentalCount) || 0);
+    const rentalsPerPiece = pieces > 0 ? rentalCount / pieces : 0;
+    held.forEach(asset => {
+      const s = stats[asset.id];
+      const rentals = rentalsPerPiece * Number(asset.quantity);
+      s.rentals += rentals;
+      s.grossProfit += rentals * unitProfit;
+      s.monthsHeld += 1;
+      if (s.paybackMonth === null && s.grossProfit >= (Number(asset.cost) || 0)) s.paybackMonth = row.monthStr;
+    });
+  });
+
+  return assets.map(asset => {
+    const s = stats[asset.id];
+    const cost = Number(asset.cost) || 0;
+    const pieceMonths = (Number(asset.quantity) || 0) * s.monthsHeld;
+    return {
+      ...asset,
+      ...s,
+      rentalsPerPieceMonth: pieceMonths > 0 ? s.rentals / pieceMonths : 0,
+      recoveryRate: cost > 0 ? s.grossProfit / cost : null,
+    };
+  });
+};
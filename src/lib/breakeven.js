@@ -0,0 +1,51 @@
+// 損益分岐点分析（限界利益ベース。変動費＝売上原価、固定費＝固定費＋スポット費用＋人件費＋減価償却費）
+
+// 売上・変動費・固定費から損益分岐点の各指標を計算
+// 限界利益がマイナス（売るほど赤字）の場合、損益分岐点売上は null
+// 売上がない月は限界利益率が決まらないので、限界利益率・損益分岐点売上とも null（hasNoSales）
+export const calcBreakEven = ({ sales, variableCost, fixedCost }) => {
+  const contributionMargin = sales - variableCost;
+  const hasNoSales = sales <= 0;
+  const cmRatio = hasNoSales ? null : contributionMargin / sales;
+  const breakEvenSales = cmRatio !== null && cmRatio > 0 ? fixedCost / cmRatio : null;
+  const safetyMargin = breakEvenSales !== null ? sales - breakEvenSales : null;
+
+  return {
+    sales,
+    contributionMargin,
+    cmRatio,
+    hasNoSales,
+    breakEvenSales,
+    safetyMargin,
+    safetyMarginRate: safetyMargin !== null && sales > 0 ? safetyMargin / sales : null,
+    // 赤字月があといくら売上を積めば黒字化するか
+    shortfall: safetyMargin !== null && safetyMargin < 0 ? -safetyMargin : 0,
+    isLoss: contributionMargin - fixedCost < 0,
+  };
+};
+
+// 月次の採用値（締め済みは実績）から月別・期間合計の損益分岐点を求める
+export const buildBreakEven = (rows) => {
+  const months = rows.map(row => ({
+    id: row.id,
+    monthStr: row.monthStr,
+    ...calcBreakEven({
+      sales: row.resultSales,
+      variableCost: row.resultCogs,
+      fixedCost: row.resultFixedCost + row.resultSpotCost + row.resultPersonnel + row.resultDepreciation,
+    }),
+  }));
+
+  const total = calcBreakEven({
+    sales: rows.reduce((acc, r) => acc + r.resultSales, 0),
+    variableCost: rows.reduce((acc, r) => acc + r.resultCogs, 0),
+    fixedCost: rows.reduce((acc, r) => acc + r.resultFixedCost + r.resultSpotCost + r.resultPersonnel + r.resultDepreciation, 0),
+  });
+
+  return {
+    months,
+    total,
+    // 月次グラフの基準線用（期間の損益分岐点売上を月平均にならしたもの）
+    monthlyBreakEvenSales: total.breakEvenSales !== null && rows.length > 0 ? total.breakEvenSales / rows.length : null,
+  };
+};
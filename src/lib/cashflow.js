@@ -0,0 +1,56 @@
+// 資金繰り（入金・支払のタイミングをずらして月末現金残高を計算する）
+
+// 資金繰り設定の初期値
+// depositRate: 売上のうち前受金で受け取る割合（%）、depositLeadMonths: 前受金を何ヶ月前に受け取るか
+// collectionLagMonths: 残金の回収が何ヶ月遅れるか
+// cogsPaymentOffset: 仕入（原価）の支払月のずれ（マイナスは前払い、プラスは後払い）
+export const createDefaultCashSettings = () => ({
+  openingBalance: 5000000,
+  depositRate: 30,
+  depositLeadMonths: 3,
+  collectionLagMonths: 0,
+  cogsPaymentOffset: -2,
+  minCashThreshold: 1000000,
+});
+
+// 月次の損益（採用値）から入出金を各月に振り分け、月末残高を付与する
+// 期間外にずれ込む入出金は計算対象外（期首より前の前受金は期首残高に含まれている前提）
+export const applyCashFlow = (rows, cash) => {
+  const count = rows.length;
+  const cashIn = new Array(count).fill(0);
+  const cashOut = new Array(count).fill(0);
+  const depositRate = (Number(cash.depositRate) || 0) / 100;
+  const lead = Math.round(Number(cash.depositLeadMonths) || 0);
+  const lag = Math.round(Number(cash.collectionLagMonths) || 0);
+  const cogsOffset = Math.round(Number(cash.cogsPaymentOffset) || 0);
+
+  const addAt = (target, index, amount) => {
+    if (index >= 0 && index < count) target[index] += amount;
+  };
+
+  rows.forEach((row, i) => {
+    const deposit = row.resultSales * depositRate;
+    addAt(cashIn, i - lead, deposit);
+    addAt(cashIn, i + lag, row.resultSales - deposit);
+    addAt(cashOut, i + cogsOffset, row.resultCogs);
+    // 減価償却費は支出を伴わないので含めず、在庫の購入代金を購入月に支払う
+    addAt(cashOut, i, row.resultFixedCost + row.resultSpotCost + row.resultPersonnel + (Number(row.assetPurchase) || 0));
+    // 税の受け払い・納付と借入・返済（tax.js の applyTaxes を通した行のみ）
+    const taxLoan = Number(row.taxLoanCashFlow) || 0;
+    addAt(taxLoan >= 0 ? cashIn : cashOut, i, Math.abs(taxLoan));
+  });
+
+  const threshold = Number(cash.minCashThreshold) || 0;
+  let balance = Number(cash.openingBalance) || 0;
+  return rows.map((row, i) => {
+    balance += cashIn[i] - cashOut[i];
+    return {
+      ...row,
+      cashIn: Math.round(cashIn[i]),
+      cashOut: Math.round(cashOut[i]),
+      netCashFlow: Math.round(cashIn[i] - cashOut[i]),
+      cashBalance: Math.round(balance),
+      isCashShort: balance < threshold,
+    };
+  });
+};
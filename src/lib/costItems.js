@@ -0,0 +1,77 @@
+// 費用の内訳（固定費・スポット費用・人件費の明細行）。内訳のあるカテゴリは明細の合計を月次の値にする
+import { createId } from './ids';
+
+export const COST_CATEGORIES = [
+  { key: 'fixedCost', memoField: 'fixedCostMemo', label: '固定費', examples: '家賃・光熱費・保険など' },
+  { key: 'spotCost', memoField: 'spotCostMemo', label: 'スポット費用', examples: '広告・修繕など' },
+  { key: 'personnel', memoField: 'personnelMemo', label: '人件費', examples: 'スタッフごと（時給×時間）' },
+];
+
+// kind: 'recurring'（毎月。startMonth～endMonth、空欄は期間の端まで）/ 'oneOff'（month の1ヶ月だけ）
+// 人件費は時給×月間時間でも入力できる（hourlyRate が入っていればそちらを優先）
+// unitId は店舗・チャネル（units.js）の直接費にするときの拠点。空欄は全拠点の共通費
+export const createCostItem = (category, kind = 'recurring', month = '') => ({
+  id: createId('c'),
+  category,
+  name: '',
+  kind,
+  amount: 0,
+  hourlyRate: '',
+  hours: '',
+  startMonth: '',
+  endMonth: '',
+  month,
+  unitId: '',
+});
+
+export const itemMonthlyAmount = (item) => {
+  if (item.category === 'personnel' && Number(item.hourlyRate) > 0) {
+    return Math.round(Number(item.hourlyRate) * (Number(item.hours) || 0));
+  }
+  return Number(item.amount) || 0;
+};
+
+export const isItemInMonth = (item, monthStr) => {
+  if (item.kind === 'oneOff') return item.month === monthStr;
+  return (!item.startMonth || monthStr >= item.startMonth) && (!item.endMonth || monthStr <= item.endMonth);
+};
+
+// その月・カテゴリに計上される明細
+export const itemsForMonth = (items, category, monthStr) =>
+  items.filter(item => item.category === category && isItemInMonth(item, monthStr));
+
+// 明細が1件以上あるカテゴリ（月次の値を手入力ではなく明細から積み上げる）
+export const itemizedCategories = (items) => new Set(items.map(item => item.category));
+
+// 内訳のあるカテゴリの月次の値とメモを明細から積み上げる
+export const applyCostItems = (row, items = []) => {
+  const itemized = itemizedCategories(items);
+  if (itemized.size === 0) return row;
+  const updated = { ...row };
+  COST_CATEGORIES.forEach(({ key, memoField }) => {
+    if (!itemized.has(key)) return;
+    const monthItems = itemsForMonth(items, key, row.monthStr);
+    updated[key] = monthItems.reduce((acc, item) => acc + itemMonthlyAmount(item), 0);
+    updated[memoField] = monthItems.map(item => item.name).filter(Boolean).join('、');
+  });
+  return updated;
+};
+
+// 手入力の値から内訳を作る（毎月同じ額・同じメモなら継続費用1件、月ごとに違えば月ごとのスポット明細）
+// 明細にすると月次のメモは明細名で置き換わるので、その月のメモを明細名に引き継ぐ（メモが空の月は name）
+export const itemsFromMonthlyValues = (data, category, name) => {
+  const { memoField } = COST_CATEGORIES.find(c => c.key === category);
+  const months = data.map(row => ({ monthStr: row.monthStr, amount: Number(row[category]) || 0, name: String(row[memoField] ?? '').trim() || name }));
+  if (months.every(m => m.amount === months[0].amount && m.name === months[0].name)) {
+    return [{ ...createCostItem(category), name: months[0].name, amount: months[0].amount }];
+  }
+  return months
+    .filter(m => m.amount !== 0)
+    .map(m => ({ ...createCostItem(category, 'oneOff', m.monthStr), name: m.name, amount: m.amount }));
+};
+
+// 明細にすると消える月次のメモがある月の数（メモは明細名で置き換わる）
+export const countMonthlyMemos = (data, category) => {
+  const { memoField } = COST_CATEGORIES.find(c => c.key === category);
+  return data.filter(row => String(row[memoField] ?? '').trim() !== '').length;
+};
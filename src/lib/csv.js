@@ -0,0 +1,72 @@
+// CSV の読み書き（Excel で開けるよう BOM 付き UTF-8 で出力、取込は UTF-8 / Shift_JIS）
+
+// Excel で開いたときに数式として実行されないよう、= + - @ で始まる文字列（メモ・シナリオ名など）は先頭に ' を付ける
+// 数値のマイナスはそのまま（文字列のセルだけが対象）
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+
+// ダブルクォート内のカンマ・改行に対応した簡易パーサー（空行は除く）
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// ファイルを指定の文字コードで読む（POSレジのCSVは Shift_JIS のことが多い）
+export const readTextFile = async (file, encoding = 'utf-8') => {
+  const buffer = await file.arrayBuffer();
+  return new TextDecoder(encoding).decode(buffer);
+};
+
+// ブラウザでファイルとしてダウンロードさせる
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,42 @@
+// ドライバー型の売上モデル（プラン別の予約件数 × 平均単価、原価はプラン別原価率から算出）
+
+// プラン定義（countField は月次行に持つ予約件数の項目名、eventCountField はイベントカレンダーからの上乗せ件数）
+export const PLAN_DEFS = [
+  { key: 'rental', label: 'レンタル', countField: 'rentalCount', eventCountField: 'eventRentalCount' },
+  { key: 'kitsuke', label: '着付け', countField: 'kitsukeCount', eventCountField: 'eventKitsukeCount' },
+  { key: 'photo', label: 'フォトパッケージ', countField: 'photoCount', eventCountField: 'eventPhotoCount' },
+];
+
+export const DRIVER_FIELDS = PLAN_DEFS.map(p => p.countField);
+
+// プラン別の平均単価と原価率（%）の初期値
+export const createDefaultPlans = () => ({
+  rental: { price: 45000, costRatio: 35 },
+  kitsuke: { price: 12000, costRatio: 20 },
+  photo: { price: 30000, costRatio: 45 },
+});
+
+// 予約件数（イベント分を含む）からその月の売上・原価を計算
+export const calcDriverSales = (row, plans) => {
+  let sales = 0;
+  let cogs = 0;
+  PLAN_DEFS.forEach(({ key, countField, eventCountField }) => {
+    const plan = plans[key] || { price: 0, costRatio: 0 };
+    const count = (Number(row[countField]) || 0) + (Number(row[eventCountField]) || 0);
+    const planSales = count * (Number(plan.price) || 0);
+    sales += planSales;
+    cogs += planSales * (Number(plan.costRatio) || 0) / 100;
+  });
+  return { sales: Math.round(sales), cogs: Math.round(cogs) };
+};
+
+// 手入力で上書きされていない項目だけドライバーから再計算する
+export const applyDrivers = (row, plans) => {
+  if (row.salesManual && row.cogsManual) return row;
+  const derived = calcDriverSales(row, plans);
+  return {
+    ...row,
+    sales: row.salesManual ? row.sales : derived.sales,
+    cogs: row.cogsManual ? row.cogs : derived.cogs,
+  };
+};
@@ -0,0 +1,72 @@
+// イベントカレンダー（成人式・卒業式・七五三など）。予約件数は月の件数に上乗せし、応援スタッフの人件費を月に加算する
+import { PLAN_DEFS } from './drivers';
+import { toMonthStr } from './months';
+import { createId } from './ids';
+
+// color はグラフのマーカー色
+export const EVENT_TYPES = [
+  { key: 'seijinshiki', label: '成人式', color: '#e11d48' },
+  { key: 'sotsugyoshiki', label: '卒業式', color: '#7c3aed' },
+  { key: 'shichigosan', label: '七五三', color: '#ea580c' },
+  { key: 'other', label: 'その他', color: '#64748b' },
+];
+
+export const eventTypeOf = (key) => EVENT_TYPES.find(t => t.key === key) || EVENT_TYPES[EVENT_TYPES.length - 1];
+
+// bookings はプラン別の見込み予約件数、staff × staffCostPerPerson がその月の人件費に加わる
+export const createEvent = (type = 'other', date = '') => ({
+  id: createId('e'),
+  name: '',
+  type,
+  date,
+  bookings: Object.fromEntries(PLAN_DEFS.map(({ key }) => [key, 0])),
+  staff: 0,
+  staffCostPerPerson: 20000,
+});
+
+export const eventLabel = (event) => event.name || eventTypeOf(event.type).label;
+
+export const eventsForMonth = (events, monthStr) => events.filter(event => String(event.date).slice(0, 7) === monthStr);
+
+// 月次行にイベント分の件数・人件費・イベント名を載せる（売上・原価への反映は applyDrivers で行う）
+export const applyEvents = (row, events = []) => {
+  const monthEvents = eventsForMonth(events, row.monthStr);
+  const updated = {
+    ...row,
+    eventPersonnel: monthEvents.reduce((acc, event) => acc + (Number(event.staff) || 0) * (Number(event.staffCostPerPerson) || 0), 0),
+    eventNames: monthEvents.map(eventLabel).join('、'),
+  };
+  PLAN_DEFS.forEach(({ key, eventCountField }) => {
+    updated[eventCountField] = monthEvents.reduce((acc, event) => acc + (Number(event.bookings?.[key]) || 0), 0);
+  });
+  return updated;
+};
+
+// 成人の日（1月の第2月曜日）
+const comingOfAgeDay = (year) => {
+  const firstDay = new Date(year, 0, 1).getDay();
+  return 1 + ((8 - firstDay) % 7) + 7;
+};
+
+// 期間中の各年の定番イベント（日付は目安。自治体・学校ごとに名前と日付を直して使う）
+export const standardEvents = (data) => {
+  const years = [...new Set(data.map(row => row.year))];
+  const months = new Set(data.map(row => row.monthStr));
+  return years.flatMap(year => [
+    { ...createEvent('seijinshiki', `${toMonthStr(year, 1)}-${String(comingOfAgeDay(year)).padStart(2, '0')}`), name: '成人式' },
+    { ...createEvent('sotsugyoshiki', `${toMonthStr(year, 3)}-15`), name: '卒業式' },
+    { ...createEvent('shichigosan', `${toMonthStr(year, 11)}-15`), name: '七五三' },
+  ]).filter(event => months.has(event.date.slice(0, 7)));
+};
+
+// グラフのマーカー用（イベントのある月ごとに名前をまとめる）
+export const buildEventMarkers = (events) => {
+  const byMonth = new Map();
+  [...events].sort((a, b) => String(a.date).localeCompare(String(b.date))).forEach(event => {
+    const monthStr = String(event.date).slice(0, 7);
+    if (!monthStr) return;
+    if (!byMonth.has(monthStr)) byMonth.set(monthStr, { monthStr, labels: [], color: eventTypeOf(event.type).color });
+    byMonth.get(monthStr).labels.push(eventLabel(event));
+  });
+  return [...byMonth.values()].map(marker => ({ ...marker, label: marker.labels.join('・') }));
+};
@@ -0,0 +1,61 @@
+// 月次計画のエクスポート（CSV / Excel）。日本語見出しで、粗利・営業利益・利益率などの計算列も含める
+import { PLAN_DEFS } from './drivers';
+import { ACTUAL_FIELDS } from './actuals';
+import { toCsv, downloadBlob } from './csv';
+import { buildXlsx } from './xlsx';
+
+// 出力列（value は chartData の1行から値を取り出す）
+const EXPORT_COLUMNS = [
+  { header: '年月', value: r => r.monthStr },
+  ...PLAN_DEFS.map(plan => ({ header: `${plan.label}件数`, value: r => r[plan.countField] })),
+  { header: '売上予測', value: r => r.sales },
+  { header: '売上原価', value: r => r.cogs },
+  { header: '粗利', value: r => r.grossProfit },
+  { header: '固定費', value: r => r.fixedCost },
+  { header: '固定費メモ', value: r => r.fixedCostMemo },
+  { header: 'スポット費用', value: r => r.spotCost },
+  { header: 'スポットメモ', value: r => r.spotCostMemo },
+  { header: '人件費', value: r => r.personnel },
+  { header: '人件費メモ', value: r => r.personnelMemo },
+  { header: 'イベント人件費', value: r => r.eventPersonnel },
+  { header: '減価償却費', value: r => r.depreciation },
+  { header: '在庫購入額', value: r => r.assetPurchase },
+  { header: '営業利益（計画）', value: r => r.operatingProfit },
+  { header: '利益率(%)（計画）', value: r => Number(r.profitMargin) },
+  // 締めた月は実績で計算した値（経常利益・税引後利益はこちらから計算している）
+  { header: '営業利益（締めた月は実績）', value: r => r.resultOperatingProfit },
+  { header: '利益率(%)（締めた月は実績）', value: r => Number(r.resultProfitMargin) },
+  { header: '支払利息', value: r => r.interest },
+  { header: '経常利益', value: r => r.ordinaryProfit },
+  { header: '法人税等', value: r => r.corporateTax },
+  { header: '税引後利益', value: r => r.netProfit },
+  { header: '消費税（売上－仕入）', value: r => r.consumptionTax },
+  { header: '税・借入の資金影響', value: r => r.taxLoanCashFlow },
+  { header: '月末現金残高', value: r => r.cashBalance },
+  { header: '締め', value: r => (r.isClosed ? '済' : '') },
+  ...ACTUAL_FIELDS.map(({ actualField, label }) => ({ header: `実績${label}`, value: r => r[actualField] })),
+  { header: 'イベント', value: r => r.eventNames },
+  { header: '全体メモ', value: r => r.memo },
+];
+
+export const buildExportRows = (chartData) => [
+  EXPORT_COLUMNS.map(c => c.header),
+  ...chartData.map(row => EXPORT_COLUMNS.map(c => c.value(row) ?? '')),
+];
+
+const exportFileName = (scenarioName, ext) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `kimono-sim_${scenarioName}_${date}.${ext}`;
+};
+
+export const exportCsv = (chartData, scenarioName) => {
+  const blob = new Blob([toCsv(buildExportRows(chartData))], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, exportFileName(scenarioName, 'csv'));
+};
+
+// Excel 出力（.xlsx は xlsx.js で組み立てる）
+export const exportXlsx = (chartData, scenarioName) => {
+  const widths = EXPORT_COLUMNS.map(c => (c.header.includes('メモ') ? 20 : 12));
+  const blob = new Blob([buildXlsx('月次計画', buildExportRows(chartData), widths)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, exportFileName(scenarioName, 'xlsx'));
+};
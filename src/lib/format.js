@@ -0,0 +1,7 @@
+// 表示用フォーマッタ
+export const formatCurrency = (val) => {
+  return new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' }).format(val || 0);
+};
+
+// グラフ軸用（万円表記）
+export const formatMan = (value) => `${value / 10000}万`;
@@ -0,0 +1,143 @@
+// 入力テーブルの表計算風の操作（セルの検証、矢印キー移動の並び、Excel からの貼り付け、下・右へのコピー）
+import { PLAN_DEFS, DRIVER_FIELDS, applyDrivers } from './drivers';
+import { COST_CATEGORIES } from './costItems';
+import { ACTUAL_FIELDS } from './actuals';
+import { parseAmount } from './importPlan';
+
+// 入力できる列（表の左から順）
+// kind: 'count'（件数・整数）/ 'amount'（円）/ 'text'（メモ）、allowBlank: 空欄を許す（実績の空欄は計画値で補う）
+export const GRID_COLUMNS = [
+  ...PLAN_DEFS.map(p => ({ field: p.countField, kind: 'count' })),
+  { field: 'sales', kind: 'amount' },
+  { field: 'cogs', kind: 'amount' },
+  ...COST_CATEGORIES.flatMap(c => [
+    { field: c.key, kind: 'amount', category: c.key },
+    { field: c.memoField, kind: 'text', category: c.key },
+  ]),
+  ...ACTUAL_FIELDS.map(a => ({ field: a.actualField, kind: 'amount', allowBlank: true, isActual: true })),
+  { field: 'memo', kind: 'text' },
+];
+
+export const gridColumnOf = (field) => GRID_COLUMNS.find(col => col.field === field);
+
+// 今の表示で入力できる列（予実を隠しているときの実績列、内訳から積み上げる費目は除く）
+export const gridColumnsFor = ({ showActuals, itemized }) =>
+  GRID_COLUMNS.filter(col => (showActuals || !col.isActual) && !(col.category && itemized.has(col.category)));
+
+// 実績は締めた月だけ入力できる
+export const isCellEditable = (row, column) => !column.isActual || row.isClosed;
+
+// 「12万」「1.5万円」の万円表記
+const MAN_PATTERN = /^(.*)万円?$/;
+
+// セルに入力された文字列を検証する（{ value } か { error }）。桁区切り・円記号・全角数字・万円表記も読む
+export const parseCellInput = (text, column) => {
+  if (column.kind === 'text') return { value: text };
+  const man = String(text).trim().match(MAN_PATTERN);
+  const parsed = parseAmount(man ? man[1] : text);
+  const amount = man && parsed !== null ? Math.round(parsed * 10000) : parsed;
+  if (amount === null) return column.allowBlank ? { value: '' } : { error: '空欄にはできません（ない場合は0）' };
+  if (Number.isNaN(amount)) return { error: '数値を入力してください' };
+  if (amount < 0) return { error: 'マイナスは入力できません' };
+  if (column.kind === 'count' && !Number.isInteger(amount)) return { error: '件数は整数で入力してください' };
+  return { value: amount };
+};
+
+// 表示用（数値は桁区切り）
+export const formatCellValue = (value, column) => {
+  if (column.kind === 'text' || value === '' || value === null || value === undefined) return value ?? '';
+  return Number(value).toLocaleString('ja-JP');
+};
+
+// 1セル分の変更を月次行に反映する（売上・原価の直接入力は手入力の上書き、件数の変更は売上・原価を再計算）
+export const applyCellChange = (row, field, value, plans) => {
+  const updated = { ...row, [field]: value };
+  if (field === 'sales') updated.salesManual = true;
+  if (field === 'cogs') updated.cogsManual = true;
+  return DRIVER_FIELDS.includes(field) ? applyDrivers(updated, plans) : updated;
+};
+
+// まとめて反映する（updates は { rowIndex, field, value } の配列）
+export const applyCellUpdates = (data, updates, plans) => {
+  const byRow = new Map();
+  updates.forEach(u => byRow.set(u.rowIndex, [...(byRow.get(u.rowIndex) || []), u]));
+  return data.map((row, index) => (byRow.get(index) || []).reduce((acc, u) => applyCellChange(acc, u.field, u.value, plans), row));
+};
+
+// 選択範囲（anchor から focus まで。列は field で持つ）を行・列の番号の範囲にする
+export const selectionRange = (selection, columns) => {
+  const a = columns.findIndex(col => col.field === selection.anchor.field);
+  const f = columns.findIndex(col => col.field === selection.focus.field);
+  if (a === -1 || f === -1) return null;
+  return {
+    top: Math.min(selection.anchor.row, selection.focus.row),
+    bottom: Math.max(selection.anchor.row, selection.focus.row),
+    left: Math.min(a, f),
+    right: Math.max(a, f),
+  };
+};
+
+export const isInRange = (range, rowIndex, colIndex) =>
+  range !== null && rowIndex >= range.top && rowIndex <= range.bottom && colIndex >= range.left && colIndex <= range.right;
+
+// Excel などからコピーした範囲（タブ区切り・改行区切り）を2次元配列に
+export const parseClipboardGrid = (text) =>
+  text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+
+const cellText = (row, column) => (row[column.field] === '' || row[column.field] === undefined ? '' : String(row[column.field]));
+
+// 範囲内の各セルに textAt(行番号, 列番号) の値を入れる更新を作る（undefined は対象外、null は入れられない値）
+// 読めない値・編集できないセル・メモと数値の取り違えは skipped に数える
+export const buildRangeUpdates = (data, columns, range, textAt) => {
+  const updates = [];
+  let skipped = 0;
+  for (let r = range.top; r <= Math.min(range.bottom, data.length - 1); r++) {
+    for (let c = range.left; c <= Math.min(range.right, columns.length - 1); c++) {
+      const column = columns[c];
+      const text = textAt(r, c);
+      if (text === undefined) continue;
+      const parsed = text === null ? null : parseCellInput(text, column);
+      if (text === null || parsed.error || !isCellEditable(data[r], column)) {
+        skipped += 1;
+        continue;
+      }
+      updates.push({ rowIndex: r, field: column.field, value: parsed.value });
+    }
+  }
+  return { updates, skipped };
+};
+
+// 貼り付け：1セル分の値を範囲選択に貼ると範囲全体に入れる（Excel と同じ）
+export const buildPasteUpdates = (data, columns, range, grid) => {
+  if (grid.length === 1 && grid[0].length === 1) {
+    return buildRangeUpdates(data, columns, range, () => grid[0][0]);
+  }
+  const pasteRange = { top: range.top, left: range.left, bottom: range.top + grid.length - 1, right: range.left + Math.max(...grid.map(line => line.length)) - 1 };
+  return buildRangeUpdates(data, columns, pasteRange, (r, c) => grid[r - range.top][c - range.left]);
+};
+
+// 下へコピー：範囲の先頭の月の値を下の月へ（1セルだけなら1つ上の月の値を入れる）
+export const buildFillDownUpdates = (data, columns, range) => {
+  const source = range.top === range.bottom ? range.top - 1 : range.top;
+  if (source < 0) return { updates: [], skipped: 0 };
+  return buildRangeUpdates(data, columns, { ...range, top: source + 1 }, (r, c) => cellText(data[source], columns[c]));
+};
+
+// 右へコピー：範囲の左端の列の値を右の列へ（1セルだけなら1つ左の列の値を入れる）。数値とメモの間ではコピーしない
+export const buildFillRightUpdates = (data, columns, range) => {
+  const source = range.left === range.right ? range.left - 1 : range.left;
+  if (source < 0) return { updates: [], skipped: 0 };
+  const isText = (c) => columns[c].kind === 'text';
+  return buildRangeUpdates(data, columns, { ...range, left: source + 1 }, (r, c) => (isText(c) === isText(source) ? cellText(data[r], columns[source]) : null));
+};
+
+// 範囲をタブ区切りの文字列に（Excel に貼り付けられる形）
+export const rangeToText = (data, columns, range) => {
+  const lines = [];
+  for (let r = range.top; r <= range.bottom; r++) {
+    const cells = [];
+    for (let c = range.left; c <= range.right; c++) cells.push(cellText(data[r], columns[c]));
+    lines.push(cells.join('\t'));
+  }
+  return lines.join('\n');
+};
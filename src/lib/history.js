@@ -0,0 +1,119 @@
+// 編集履歴（元に戻す・やり直し、変更ログ）と名前付きスナップショット
+import { PLAN_DEFS } from './drivers';
+import { COST_CATEGORIES } from './costItems';
+import { ACTUAL_FIELDS } from './actuals';
+import { createId } from './ids';
+
+// 元に戻せる操作の数
+export const HISTORY_LIMIT = 100;
+
+// 同じセルへの連続入力（1文字ずつの onChange）はこの間隔内なら1件にまとめる
+export const HISTORY_MERGE_MS = 2000;
+
+// past / future には { id, scenarioId, mergeKey, before, after, at } を積む
+// before / after はシナリオの { data, settings }（変更のたびに作り直しているので参照のまま持つ）
+export const createHistory = () => ({ past: [], future: [] });
+
+// 操作を記録する（新しい操作を記録したらやり直しの履歴は捨てる）
+export const recordHistory = (history, entry) => {
+  const last = history.past[history.past.length - 1];
+  if (last && entry.mergeKey && last.mergeKey === entry.mergeKey && last.scenarioId === entry.scenarioId && entry.at - last.at < HISTORY_MERGE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, after: entry.after, at: entry.at }], future: [] };
+  }
+  const past = [...history.past, { ...entry, id: createId('h') }];
+  return { past: past.slice(-HISTORY_LIMIT), future: [] };
+};
+
+// 直前の操作を取り出す（entry.before に戻す）
+export const undoHistory = (history) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return { history, entry: null };
+  return { history: { past: history.past.slice(0, -1), future: [...history.future, entry] }, entry };
+};
+
+// 取り消した操作をやり直す（entry.after を適用する）
+export const redoHistory = (history) => {
+  const entry = history.future[history.future.length - 1];
+  if (!entry) return { history, entry: null };
+  return { history: { past: [...history.past, entry], future: history.future.slice(0, -1) }, entry };
+};
+
+// 変更ログに出す月次の入力項目（manualFlag のある項目は手入力で上書きしているときだけ。件数から計算された値は件数の変更として出る）
+const TRACKED_FIELDS = [
+  ...PLAN_DEFS.map(p => ({ field: p.countField, label: `${p.label}件数` })),
+  { field: 'sales', label: '売上（手入力）', manualFlag: 'salesManual' },
+  { field: 'cogs', label: '原価（手入力）', manualFlag: 'cogsManual' },
+  ...COST_CATEGORIES.flatMap(c => [
+    { field: c.key, label: c.label },
+    { field: c.memoField, label: `${c.label}メモ` },
+  ]),
+  { field: 'isClosed', label: '締め' },
+  ...ACTUAL_FIELDS.map(a => ({ field: a.actualField, label: `実績 ${a.label}` })),
+  { field: 'memo', label: '全体メモ' },
+];
+
+// シナリオ設定の項目名（settings.js のキー）
+const SETTINGS_LABELS = {
+  plans: '単価・原価率',
+  cash: '資金繰り設定',
+  fiscalYearStartMonth: '会計年度の期首月',
+  costItems: '費用の内訳',
+  assets: '着物在庫',
+  seasonality: '季節性プロファイル',
+  events: 'イベントカレンダー',
+  risk: 'リスク試算の前提',
+  tax: '税金',
+  loans: '借入金',
+  units: '店舗・チャネル',
+  sharedCostRule: '共通費の配賦ルール',
+  report: 'レポート設定',
+};
+
+const formatValue = (value) => {
+  if (value === true) return '締め';
+  if (value === false) return '未締め';
+  if (value === '' || value === null || value === undefined) return '（空欄）';
+  return typeof value === 'number' ? value.toLocaleString('ja-JP') : String(value);
+};
+
+// 2つの状態（{ data, settings }）の差分を「どの月のどの項目が何から何に」の一覧にする
+// 月の追加・削除と、設定の変更（項目名のみ）も含める
+export const describeChanges = (before, after) => {
+  const changes = [];
+  const beforeByMonth = new Map(before.data.map(row => [row.monthStr, row]));
+  const afterMonths = new Set(after.data.map(row => row.monthStr));
+
+  after.data.forEach(row => {
+    const prev = beforeByMonth.get(row.monthStr);
+    if (!prev) {
+      changes.push({ monthStr: row.monthStr, label: '月の追加', from: '', to: '' });
+      return;
+    }
+    TRACKED_FIELDS.forEach(({ field, label, manualFlag }) => {
+      if (manualFlag && !row[manualFlag] && !prev[manualFlag]) return;
+      if (formatValue(prev[field]) === formatValue(row[field])) return;
+      changes.push({ monthStr: row.monthStr, label, from: formatValue(prev[field]), to: formatValue(row[field]) });
+    });
+  });
+  before.data.forEach(row => {
+    if (!afterMonths.has(row.monthStr)) changes.push({ monthStr: row.monthStr, label: '月の削除', from: '', to: '' });
+  });
+
+  Object.entries(SETTINGS_LABELS).forEach(([key, label]) => {
+    if (JSON.stringify(before.settings[key]) !== JSON.stringify(after.settings[key])) {
+      changes.push({ monthStr: '', label: `設定：${label}`, from: '', to: '' });
+    }
+  });
+  return changes;
+};
+
+// スナップショット：ある時点のシナリオの { data, settings } に名前を付けて残す（この端末の下書きと一緒に保存）
+export const createSnapshot = (name, scenario) => ({
+  id: createId('n'),
+  name,
+  createdAt: new Date().toISOString(),
+  scenarioId: scenario.id,
+  scenarioName: scenario.name,
+  data: scenario.data,
+  settings: scenario.settings,
+});
@@ -0,0 +1,28 @@
+// IndexedDB の1つのオブジェクトストアを読み書きする小さなヘルパー（下書きと IndexedDB の保存先で共用）
+
+const DB_VERSION = 1;
+
+const openDb = (dbName, storeName) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(storeName);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// withStore(mode, store => request) を返す。トランザクションが終わったら request の結果で解決し、接続は毎回閉じる
+export const createIdbStore = ({ dbName, storeName }) => async (mode, action) => {
+  const db = await openDb(dbName, storeName);
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error); // 容量超過などは error ではなく abort になる
+    });
+  } finally {
+    db.close();
+  }
+};
@@ -0,0 +1,2 @@
+// 明細・在庫・イベントなどの ID（種類ごとの1文字の接頭辞＋時刻＋乱数。同じミリ秒に続けて作っても重ならないようにする）
+export const createId = (prefix) => `${prefix}${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
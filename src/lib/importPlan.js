@@ -0,0 +1,171 @@
+// CSV 取込（列の対応付け → 年月・数値の検証 → 月次データへのマージ）
+import { PLAN_DEFS, applyDrivers } from './drivers';
+import { seedActuals } from './actuals';
+import { toMonthStr } from './months';
+
+// 取込先の項目（aliases は見出しから自動で対応付けるときの候補）
+// actualField がある項目は「実績として取り込む」ときに実績欄へ入る
+export const IMPORT_FIELDS = [
+  { key: 'monthStr', label: '年月', required: true, aliases: ['年月', '月', '日付', '売上日', '対象月', 'month', 'date'] },
+  { key: 'sales', label: '売上', actualField: 'actualSales', isNumber: true, aliases: ['売上予測', '売上', '売上高', '売上金額', '純売上', 'sales'] },
+  { key: 'cogs', label: '売上原価', actualField: 'actualCogs', isNumber: true, aliases: ['売上原価', '原価', 'cogs'] },
+  { key: 'fixedCost', label: '固定費', actualField: 'actualFixedCost', isNumber: true, aliases: ['固定費'] },
+  { key: 'spotCost', label: 'スポット費用', actualField: 'actualSpotCost', isNumber: true, aliases: ['スポット費用', 'スポット'] },
+  { key: 'personnel', label: '人件費', actualField: 'actualPersonnel', isNumber: true, aliases: ['人件費'] },
+  ...PLAN_DEFS.map(plan => ({ key: plan.countField, label: `${plan.label}件数`, isNumber: true, planOnly: true, aliases: [`${plan.label}件数`, `${plan.label}`] })),
+  { key: 'memo', label: '全体メモ', aliases: ['全体メモ', 'メモ', '備考', 'イベント'] },
+];
+
+export const IMPORT_MODES = {
+  plan: '計画値として取り込む',
+  actual: '実績として取り込む（月を締める）',
+};
+
+const normalizeHeader = (text) => String(text).replace(/[\s\u3000()（）]/g, '').toLowerCase();
+
+// 見出しから対応する列を推測（完全一致を優先し、なければ部分一致）
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const aliases = field.aliases.map(normalizeHeader);
+    let index = normalized.findIndex((h, i) => !used.has(i) && aliases.includes(h));
+    if (index === -1) index = normalized.findIndex((h, i) => !used.has(i) && aliases.some(a => h.includes(a)));
+    mapping[field.key] = index;
+    if (index !== -1) used.add(index);
+  });
+  return mapping;
+};
+
+// 「2025-09」「2025/9/1」「2025年9月」などを 'YYYY-MM' に
+export const parseMonth = (value) => {
+  const match = String(value).trim().match(/^(\d{4})\s*[-/.年]\s*(\d{1,2})/);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  return toMonthStr(year, month);
+};
+
+// 「¥1,234」「1,234円」「△1,234」（マイナス）「１，２３４」（全角）などを数値に。空欄は null、読めなければ NaN
+export const parseAmount = (value) => {
+  let text = String(value ?? '')
+    .replace(/[０-９，．－]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .trim()
+    .replace(/[¥￥,円\s]/g, '');
+  if (text === '') return null;
+  let sign = 1;
+  if (/^[△▲-]/.test(text)) {
+    sign = -1;
+    text = text.slice(1);
+  } else if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? sign * number : NaN;
+};
+
+// 対応付けに従って各行を検証し、月ごとにまとめる（同じ月の行は数値を合算、メモは連結）
+// itemized は費用の内訳から計算している費用カテゴリ。計画値として取り込んでも内訳の合計で上書きされるので取り込まない
+export const validateImport = (rows, mapping, data, mode, itemized = new Set()) => {
+  const errors = [];
+  const warnings = [];
+  const periodMonths = new Set(data.map(r => r.monthStr));
+  const mapped = IMPORT_FIELDS.filter(f => f.key !== 'monthStr' && mapping[f.key] !== -1 && !(mode === 'actual' && f.planOnly));
+  const overridden = mapped.filter(f => mode === 'plan' && itemized.has(f.key));
+  const fields = mapped.filter(f => !overridden.includes(f));
+  const byMonth = new Map();
+  const outOfPeriod = new Set();
+  let outOfPeriodRows = 0;
+  let merged = 0;
+
+  if (mapping.monthStr === -1) {
+    errors.push({ line: null, message: '「年月」の列を選んでください。' });
+    return { records: [], errors, warnings };
+  }
+  if (overridden.length > 0) {
+    warnings.push(`${overridden.map(f => f.label).join('・')}は「費用の内訳」から計算しているため、取り込んだ値は使いません（内訳を削除すると月ごとの値を入力できます）。`);
+  }
+  if (fields.length === 0) {
+    errors.push({ line: null, message: '取り込む項目の列を1つ以上選んでください。' });
+    return { records: [], errors, warnings };
+  }
+
+  rows.forEach((row, i) => {
+    const line = i + 2; // 見出し行の次から
+    const monthStr = parseMonth(row[mapping.monthStr] ?? '');
+    if (!monthStr) {
+      errors.push({ line, message: `年月「${row[mapping.monthStr] ?? ''}」を読み取れません。` });
+      return;
+    }
+    if (!periodMonths.has(monthStr)) {
+      outOfPeriod.add(monthStr);
+      outOfPeriodRows += 1;
+      return;
+    }
+
+    const values = {};
+    fields.forEach(field => {
+      const raw = row[mapping[field.key]] ?? '';
+      if (!field.isNumber) {
+        if (String(raw).trim() !== '') values[field.key] = String(raw).trim();
+        return;
+      }
+      const amount = parseAmount(raw);
+      if (Number.isNaN(amount)) {
+        errors.push({ line, message: `${field.label}「${raw}」は数値ではありません。` });
+      } else if (amount !== null) {
+        if (amount < 0) warnings.push(`${line}行目: ${field.label}がマイナスです（${amount}）。`);
+        values[field.key] = amount;
+      }
+    });
+
+    if (byMonth.has(monthStr)) {
+      merged += 1;
+      const current = byMonth.get(monthStr);
+      Object.entries(values).forEach(([key, value]) => {
+        if (typeof value === 'number') current[key] = (current[key] || 0) + value;
+        else current[key] = current[key] ? `${current[key]} / ${value}` : value;
+      });
+    } else {
+      byMonth.set(monthStr, values);
+    }
+  });
+
+  if (merged > 0) warnings.push(`同じ月の行が ${merged} 行あったため、月ごとに合算しました。`);
+  if (outOfPeriod.size > 0) {
+    warnings.push(`期間外の月（${[...outOfPeriod].sort().join(', ')}）の${outOfPeriodRows}行は取り込みません。過去の実績も取り込む場合は、先に「期間・会計年度」で開始年月を早めてください。`);
+  }
+
+  return {
+    records: [...byMonth.entries()].map(([monthStr, values]) => ({ monthStr, values })),
+    errors,
+    warnings,
+  };
+};
+
+// 検証済みのレコードを月次データにマージ
+// 計画値として取り込んだ売上・原価は手入力の上書き扱い、件数を取り込んだ月はドライバーで再計算
+export const mergeImport = (data, records, mode, plans) => {
+  const byMonth = new Map(records.map(r => [r.monthStr, r.values]));
+  return data.map(row => {
+    const values = byMonth.get(row.monthStr);
+    if (!values) return row;
+
+    if (mode === 'actual') {
+      const updated = { ...row, isClosed: true };
+      IMPORT_FIELDS.forEach(field => {
+        if (values[field.key] === undefined) return;
+        updated[field.actualField || field.key] = values[field.key];
+      });
+      return seedActuals(updated);
+    }
+
+    const updated = { ...row, ...values };
+    if (values.sales !== undefined) updated.salesManual = true;
+    if (values.cogs !== undefined) updated.cogsManual = true;
+    return applyDrivers(updated, plans);
+  });
+};
@@ -0,0 +1,60 @@
+// 借入金の返済スケジュール（元利均等・元金均等、据置期間つき）
+import { addMonths, monthDiff } from './months';
+import { createId } from './ids';
+
+export const REPAYMENT_METHODS = [
+  { key: 'equalPayment', label: '元利均等' },
+  { key: 'equalPrincipal', label: '元金均等' },
+];
+
+// startMonth に借り入れ、翌月から返済する。据置期間（graceMonths）は利息だけを払う
+export const createLoan = (startMonth = '') => ({
+  id: createId('l'),
+  name: '',
+  principal: 0,
+  annualRate: 1.5,
+  startMonth,
+  termMonths: 60,
+  graceMonths: 0,
+  method: 'equalPayment',
+});
+
+// 返済月ごとの利息・元金・返済後残高
+export const loanSchedule = (loan) => {
+  const principal = Number(loan.principal) || 0;
+  const term = Math.max(Math.round(Number(loan.termMonths) || 0), 1);
+  const grace = Math.min(Math.max(Math.round(Number(loan.graceMonths) || 0), 0), term - 1);
+  const rate = (Number(loan.annualRate) || 0) / 100 / 12;
+  if (!loan.startMonth || principal <= 0) return [];
+
+  const repayMonths = term - grace;
+  const payment = rate > 0 ? principal * rate / (1 - Math.pow(1 + rate, -repayMonths)) : principal / repayMonths;
+  const schedule = [];
+  let balance = principal;
+  for (let i = 1; i <= term; i++) {
+    const interest = Math.round(balance * rate);
+    let repaid = 0;
+    if (i > grace) {
+      const isLast = i === term;
+      if (isLast) repaid = balance;
+      else if (loan.method === 'equalPrincipal') repaid = Math.round(principal / repayMonths);
+      else repaid = Math.round(payment) - interest;
+    }
+    balance -= repaid;
+    schedule.push({ monthStr: addMonths(loan.startMonth, i).monthStr, interest, principal: repaid, balance });
+  }
+  return schedule;
+};
+
+// その月の借入・利息・元金返済・月末残高（複数の借入を合算）
+export const loansForMonth = (loans, monthStr) => loans.reduce((acc, loan) => {
+  if (!loan.startMonth || monthDiff(loan.startMonth, monthStr) < 0) return acc;
+  const borrowed = loan.startMonth === monthStr ? Number(loan.principal) || 0 : 0;
+  const entry = loanSchedule(loan).find(s => s.monthStr === monthStr);
+  return {
+    borrowed: acc.borrowed + borrowed,
+    interest: acc.interest + (entry ? entry.interest : 0),
+    principal: acc.principal + (entry ? entry.principal : 0),
+    balance: acc.balance + (entry ? entry.balance : borrowed),
+  };
+}, { borrowed: 0, interest: 0, principal: 0, balance: 0 });
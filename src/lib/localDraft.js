@@ -0,0 +1,22 @@
+// 編集中データのローカル保存（IndexedDB）。シートと同期できない間もブラウザに残す
+import { createIdbStore } from './idbStore';
+
+const withStore = createIdbStore({ dbName: 'kimono-sim', storeName: 'drafts' });
+
+// 下書き：{ scenarios, baseHash, syncedSnapshot, snapshots, updatedAt }（保存先ごとに別々に持つ。snapshots は名前付きスナップショット）
+export const loadDraft = async (storageName) => {
+  try {
+    return (await withStore('readonly', store => store.get(storageName))) || null;
+  } catch (error) {
+    console.error("Draft load error:", error);
+    return null;
+  }
+};
+
+export const saveDraft = async (storageName, draft) => {
+  try {
+    await withStore('readwrite', store => store.put({ ...draft, updatedAt: new Date().toISOString() }, storageName));
+  } catch (error) {
+    console.error("Draft save error:", error);
+  }
+};
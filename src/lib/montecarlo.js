@@ -0,0 +1,155 @@
+// モンテカルロ法によるリスク試算（予約件数・キャンセル・原価率・費用のばらつきから営業利益の分布を求める）
+// 締め済みの月は実績で確定しているので振らない
+
+// bookingSd / busyBookingSd: 予約件数のばらつき（標準偏差、%）。繁忙期は天候・競合の影響で大きめに取る
+// noShowMin / noShowMax: 当日キャンセル・無断キャンセル率の幅（%、一様分布）
+// cogsRatioSd: 原価率のばらつき（pt）、fixedCostSd / spotCostSd / personnelSd: 各費用のばらつき（%）
+export const createDefaultRiskSettings = () => ({
+  iterations: 2000,
+  bookingSd: 10,
+  busyBookingSd: 20,
+  noShowMin: 0,
+  noShowMax: 5,
+  cogsRatioSd: 2,
+  fixedCostSd: 3,
+  spotCostSd: 20,
+  personnelSd: 5,
+});
+
+export const ITERATION_OPTIONS = [500, 1000, 2000, 5000];
+
+// 再現できるように乱数はシード付き（mulberry32）
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 標準正規乱数（Box-Muller）
+const createNormal = (random) => () => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Worker に渡す月次の採用値（chartData の1行から必要な項目だけ取り出す）
+export const toRiskInput = (row, isBusy) => ({
+  monthStr: row.monthStr,
+  isClosed: row.isClosed,
+  isBusy,
+  sales: row.resultSales,
+  cogs: row.resultCogs,
+  fixedCost: row.resultFixedCost,
+  spotCost: row.resultSpotCost,
+  personnel: row.resultPersonnel,
+  depreciation: row.resultDepreciation,
+});
+
+// 月別の営業利益と累積営業利益の P10 / P50 / P90、各月末までに累積が黒字になっている確率、期末の黒字化確率
+// onProgress(完了割合 0～1) は Worker から進捗を返すのに使う
+export const runMonteCarlo = (rows, risk, { seed = 1, onProgress } = {}) => {
+  const iterations = Math.max(Math.round(Number(risk.iterations) || 0), 1);
+  const normal = createNormal(createRandom(seed));
+  const random = createRandom(seed + 1);
+  const pct = (value) => (Number(value) || 0) / 100;
+  const noShowMin = pct(risk.noShowMin);
+  const noShowMax = Math.max(pct(risk.noShowMax), noShowMin);
+
+  const monthly = rows.map(() => new Float64Array(iterations));
+  const cumulative = rows.map(() => new Float64Array(iterations));
+  const progressStep = Math.max(Math.floor(iterations / 20), 1);
+
+  for (let n = 0; n < iterations; n++) {
+    let acc = 0;
+    rows.forEach((row, i) => {
+      let profit;
+      if (row.isClosed) {
+        profit = row.sales - row.cogs - row.fixedCost - row.spotCost - row.personnel - row.depreciation;
+      } else {
+        const bookingFactor = Math.max(1 + normal() * pct(row.isBusy ? risk.busyBookingSd : risk.bookingSd), 0);
+        const noShow = noShowMin + (noShowMax - noShowMin) * random();
+        const sales = row.sales * bookingFactor * (1 - noShow);
+        const cogsRatio = Math.max((row.sales > 0 ? row.cogs / row.sales : 0) + normal() * pct(risk.cogsRatioSd), 0);
+        const vary = (value, sd) => value * Math.max(1 + normal() * pct(sd), 0);
+        profit = sales - sales * cogsRatio
+          - vary(row.fixedCost, risk.fixedCostSd)
+          - vary(row.spotCost, risk.spotCostSd)
+          - vary(row.personnel, risk.personnelSd)
+          - row.depreciation;
+      }
+      acc += profit;
+      monthly[i][n] = profit;
+      cumulative[i][n] = acc;
+    });
+    if (onProgress && (n + 1) % progressStep === 0) onProgress((n + 1) / iterations);
+  }
+
+  const months = rows.map((row, i) => {
+    const profits = monthly[i].sort();
+    const totals = cumulative[i].sort();
+    const positive = totals.reduce((count, value) => count + (value > 0 ? 1 : 0), 0);
+    return {
+      monthStr: row.monthStr,
+      profitP10: Math.round(percentile(profits, 0.1)),
+      profitP50: Math.round(percentile(profits, 0.5)),
+      profitP90: Math.round(percentile(profits, 0.9)),
+      cumulativeP10: Math.round(percentile(totals, 0.1)),
+      cumulativeP50: Math.round(percentile(totals, 0.5)),
+      cumulativeP90: Math.round(percentile(totals, 0.9)),
+      positiveProbability: positive / iterations,
+    };
+  });
+
+  return {
+    iterations,
+    months,
+    // 期末時点で累積営業利益がプラスになっている確率
+    paybackProbability: months.length > 0 ? months[months.length - 1].positiveProbability : 0,
+  };
+};
+
+// 同じ前提なら同じ結果になるよう、シードは固定
+const RISK_SEED = 20250901;
+
+// Worker で試算を始め、中断用の関数を返す（Worker が使えない環境ではメインスレッドで計算する）
+export const startRiskSimulation = (rows, risk, { onProgress, onDone, onError }) => {
+  if (typeof Worker === 'undefined') {
+    const timer = setTimeout(() => {
+      try {
+        onDone(runMonteCarlo(rows, risk, { seed: RISK_SEED }));
+      } catch (error) {
+        onError(error.message);
+      }
+    }, 0);
+    return () => clearTimeout(timer);
+  }
+
+  const worker = new Worker(new URL('./montecarlo.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data: message }) => {
+    if (message.type === 'progress') {
+      onProgress(message.progress);
+    } else if (message.type === 'done') {
+      onDone(message.result);
+      worker.terminate();
+    }
+  };
+  worker.onerror = (event) => {
+    onError(event.message || 'シミュレーションでエラーが発生しました');
+    worker.terminate();
+  };
+  worker.postMessage({ rows, risk, seed: RISK_SEED });
+  return () => worker.terminate();
+};
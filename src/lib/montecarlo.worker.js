@@ -0,0 +1,10 @@
+// モンテカルロ試算を画面を止めずに回す Web Worker
+import { runMonteCarlo } from './montecarlo';
+
+self.onmessage = ({ data: { rows, risk, seed } }) => {
+  const result = runMonteCarlo(rows, risk, {
+    seed,
+    onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+  });
+  self.postMessage({ type: 'done', result });
+};
@@ -0,0 +1,29 @@
+// 年月（'YYYY-MM'）の計算ヘルパー
+
+export const toMonthStr = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+export const parseMonthStr = (monthStr) => {
+  const [year, month] = String(monthStr).split('-').map(Number);
+  return { year, month };
+};
+
+// n ヶ月後（マイナスなら前）の年月
+export const addMonths = (monthStr, n) => {
+  const { year, month } = parseMonthStr(monthStr);
+  const date = new Date(year, month - 1 + n, 1);
+  return { year: date.getFullYear(), month: date.getMonth() + 1, monthStr: toMonthStr(date.getFullYear(), date.getMonth() + 1) };
+};
+
+// 2つの年月の差（月数）
+export const monthDiff = (from, to) => {
+  const a = parseMonthStr(from);
+  const b = parseMonthStr(to);
+  return (b.year - a.year) * 12 + (b.month - a.month);
+};
+
+// 会計年度（期首月より前の月は前年度。例：4月始まりなら 2026-03 は 2025年度）
+export const fiscalYearOf = (year, month, fiscalYearStartMonth) =>
+  month >= fiscalYearStartMonth ? year : year - 1;
+
+export const fiscalYearLabel = (fiscalYear, fiscalYearStartMonth) =>
+  fiscalYearStartMonth === 1 ? `${fiscalYear}年` : `${fiscalYear}年度`;
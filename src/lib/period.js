@@ -0,0 +1,84 @@
+// シミュレーション期間の変更（開始年月・月数・年度の延長）と会計年度別の集計
+import { createMonthRow, DEFAULT_START_MONTH, DEFAULT_TOTAL_MONTHS } from './simulation';
+import { applyDrivers } from './drivers';
+import { ACTUAL_FIELDS } from './actuals';
+import { addMonths, fiscalYearOf, fiscalYearLabel } from './months';
+
+// 会計年度の期首月の初期値
+export const DEFAULT_FISCAL_YEAR_START_MONTH = 4;
+
+// 月次データから現在の期間を求める（期間は月次行そのものが正）
+export const getPeriod = (data) => {
+  if (data.length === 0) return { startMonth: DEFAULT_START_MONTH, months: DEFAULT_TOTAL_MONTHS, endMonth: addMonths(DEFAULT_START_MONTH, DEFAULT_TOTAL_MONTHS - 1).monthStr };
+  return { startMonth: data[0].monthStr, months: data.length, endMonth: data[data.length - 1].monthStr };
+};
+
+export const formatPeriod = (data) => {
+  const { startMonth, endMonth } = getPeriod(data);
+  const [sy, sm] = startMonth.split('-').map(Number);
+  const [ey, em] = endMonth.split('-').map(Number);
+  return `${sy}年${sm}月 ～ ${ey}年${em}月`;
+};
+
+// 前年（または翌年）同月の行を引き継いで新しい月を作る（件数・費用・メモを引き継ぎ、実績はクリア）
+const seedFromRow = (source, id, year, month, monthStr, plans) => applyDrivers({
+  ...source,
+  id,
+  monthStr,
+  year,
+  month,
+  isClosed: false,
+  ...Object.fromEntries(ACTUAL_FIELDS.map(({ actualField }) => [actualField, ''])),
+}, plans);
+
+// 期間を組み直す。既存の月はそのまま残し、新しい月は前年同月（なければ翌年同月）を引き継ぎ、どちらもなければ季節性プロファイルで埋める
+export const resizePeriod = (data, startMonth, months, plans, seasonality) => {
+  const byMonth = new Map(data.map(row => [row.monthStr, row]));
+  const result = [];
+
+  for (let i = 0; i < months; i++) {
+    const { year, month, monthStr } = addMonths(startMonth, i);
+    const existing = byMonth.get(monthStr);
+    if (existing) {
+      result.push({ ...existing, id: i });
+      continue;
+    }
+    const source = byMonth.get(addMonths(monthStr, -12).monthStr) || byMonth.get(addMonths(monthStr, 12).monthStr);
+    const row = source
+      ? seedFromRow(source, i, year, month, monthStr, plans)
+      : createMonthRow(i, year, month, plans, seasonality);
+    byMonth.set(monthStr, row);
+    result.push(row);
+  }
+  return result;
+};
+
+// 期間の末尾に n ヶ月追加する
+export const extendPeriod = (data, n, plans, seasonality) => {
+  const { startMonth, months } = getPeriod(data);
+  return resizePeriod(data, startMonth, months + n, plans, seasonality);
+};
+
+// 会計年度別の集計（締め済みの月は実績値）
+export const summarizeByFiscalYear = (rows, fiscalYearStartMonth) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const fy = fiscalYearOf(row.year, row.month, fiscalYearStartMonth);
+    if (!groups.has(fy)) groups.set(fy, { fiscalYear: fy, label: fiscalYearLabel(fy, fiscalYearStartMonth), months: 0, sales: 0, cost: 0, ordinaryProfit: 0, netProfit: 0 });
+    const group = groups.get(fy);
+    group.months += 1;
+    group.sales += row.resultSales;
+    group.cost += row.resultTotalCost;
+    group.ordinaryProfit += Number(row.ordinaryProfit) || 0;
+    group.netProfit += Number(row.netProfit) || 0;
+  });
+  return [...groups.values()].map(group => {
+    const profit = group.sales - group.cost;
+    return {
+      ...group,
+      profit,
+      margin: group.sales > 0 ? ((profit / group.sales) * 100).toFixed(1) : '0.0',
+      isPartial: group.months < 12,
+    };
+  });
+};
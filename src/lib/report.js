@@ -0,0 +1,91 @@
+// 印刷用レポート（銀行・経営会議向け。A4横でブラウザの印刷から PDF に保存する）
+import { PLAN_DEFS } from './drivers';
+import { COST_CATEGORIES } from './costItems';
+import { PRICE_MODES } from './tax';
+import { SHARED_COST_RULES } from './units';
+import { formatCurrency } from './format';
+
+// 表紙に載せる会社名・資料名・作成者（シナリオ設定として保存する）
+export const createDefaultReportSettings = () => ({
+  companyName: '',
+  title: '事業計画書',
+  preparedBy: '',
+});
+
+// 月次表1ページあたりの行数（A4横で収まる月数）
+export const REPORT_ROWS_PER_PAGE = 18;
+
+// 月次表の列（value は chartData の1行から値を取り出す。format: 'currency' は円表示）
+export const REPORT_TABLE_COLUMNS = [
+  ...PLAN_DEFS.map(plan => ({ header: `${plan.label}件数`, value: r => r[plan.countField] + (Number(r[plan.eventCountField]) || 0) })),
+  { header: '売上', value: r => r.resultSales, format: 'currency' },
+  { header: '原価', value: r => r.resultCogs, format: 'currency' },
+  { header: '粗利', value: r => r.resultSales - r.resultCogs, format: 'currency' },
+  { header: '固定費', value: r => r.resultFixedCost, format: 'currency' },
+  { header: 'スポット費用', value: r => r.resultSpotCost, format: 'currency' },
+  { header: '人件費', value: r => r.resultPersonnel, format: 'currency' },
+  { header: '減価償却費', value: r => r.resultDepreciation, format: 'currency' },
+  { header: '営業利益', value: r => r.resultOperatingProfit, format: 'currency' },
+  { header: '利益率', value: r => (r.resultSales > 0 ? `${((r.resultOperatingProfit / r.resultSales) * 100).toFixed(1)}%` : '-') },
+  { header: '経常利益', value: r => r.ordinaryProfit, format: 'currency' },
+  { header: '税引後利益', value: r => r.netProfit, format: 'currency' },
+  { header: '月末現金残高', value: r => r.cashBalance, format: 'currency' },
+];
+
+// 配列を size 件ずつのページに分ける
+export const paginate = (rows, size) => {
+  const pages = [];
+  for (let i = 0; i < rows.length; i += size) pages.push(rows.slice(i, i + size));
+  return pages;
+};
+
+// 表紙の前提条件（ラベルと値の組）
+export const buildAssumptions = (settings) => {
+  const { plans, cash, tax, loans, seasonality, units } = settings;
+  const items = PLAN_DEFS.map(({ key, label }) => ({
+    label: `${label}の平均単価・原価率`,
+    value: `${formatCurrency(plans[key]?.price)}・${Number(plans[key]?.costRatio) || 0}%`,
+  }));
+  items.push(
+    { label: '会計年度の期首月', value: `${settings.fiscalYearStartMonth}月` },
+    { label: '期首現金残高', value: formatCurrency(cash.openingBalance) },
+    { label: '前受金', value: `売上の${cash.depositRate}%を${cash.depositLeadMonths}ヶ月前に受取` },
+    { label: '売上の前年比成長率', value: `${Number(seasonality.growthRate) || 0}%` },
+    { label: '消費税', value: `${tax.consumptionTaxRate}%（${(PRICE_MODES.find(m => m.key === tax.priceMode) || PRICE_MODES[0]).label}）` },
+    { label: '法人税等の実効税率', value: `${tax.corporateTaxRate}%` },
+  );
+  if (loans.length > 0) {
+    items.push({
+      label: '借入金',
+      value: loans.map(loan => `${loan.name || '借入'} ${formatCurrency(loan.principal)}（年${loan.annualRate}%・${loan.termMonths}ヶ月）`).join('、'),
+    });
+  }
+  if (settings.assets.length > 0) {
+    items.push({ label: '着物在庫', value: `${settings.assets.length}件（取得額 ${formatCurrency(settings.assets.reduce((acc, a) => acc + (Number(a.cost) || 0), 0))}）` });
+  }
+  if (units.length > 0) {
+    const rule = SHARED_COST_RULES.find(r => r.key === settings.sharedCostRule) || SHARED_COST_RULES[0];
+    items.push({ label: '店舗・チャネル', value: `${units.map(u => u.name).filter(Boolean).join('、')}（共通費は${rule.label}で配賦）` });
+  }
+  return items;
+};
+
+// 備考：月ごとのメモ（全体メモ・費用メモ・イベント）を集める
+// 費用の明細名のように毎月同じ内容が続くものは、変わった月だけ載せる
+export const buildNotes = (data) => {
+  const previous = {};
+  return data
+    .map(row => {
+      const items = [
+        { label: 'イベント', text: row.eventNames },
+        ...COST_CATEGORIES.map(c => ({ label: c.label, text: row[c.memoField] })),
+        { label: 'メモ', text: row.memo },
+      ].filter(item => {
+        const isRepeated = previous[item.label] === item.text;
+        previous[item.label] = item.text;
+        return item.text && !isRepeated;
+      });
+      return { monthStr: row.monthStr, items };
+    })
+    .filter(note => note.items.length > 0);
+};
@@ -0,0 +1,59 @@
+// シナリオ（名前付きの計画）の生成とシート保存形式への変換
+import { generateInitialData, normalizeRow } from './simulation';
+import { createDefaultSettings, parseSettings, normalizeSettings } from './settings';
+import { createId } from './ids';
+
+export const DEFAULT_SCENARIO_ID = 'base';
+export const DEFAULT_SCENARIO_NAME = 'ベースプラン';
+
+// 比較表示できるシナリオの上限
+export const MAX_COMPARE = 3;
+
+// 比較グラフで使う線の色（シナリオの並び順に割り当て）
+// 営業利益の線（#10b981）やリスク帯・損益分岐点・イベントのマーカーと見分けられるよう、ダッシュボードで使っていない色にする
+export const SCENARIO_COLORS = ['#d97706', '#db2777', '#0891b2', '#65a30d', '#a855f7', '#78716c'];
+
+export const createScenario = (name, data, id = createId('s'), settings = createDefaultSettings()) => ({
+  id,
+  name,
+  data: data || generateInitialData(settings.plans),
+  settings,
+});
+
+// 既存シナリオを複製（月次データと設定はディープコピー）
+export const duplicateScenario = (scenario, name) =>
+  createScenario(name, scenario.data.map(row => ({ ...row })), undefined, structuredClone(scenario.settings));
+
+// シートには従来どおり「月次行の配列」で保存し、各行にシナリオID/名を持たせる
+// シナリオ単位の設定は先頭行の scenarioSettings 列にJSON文字列で載せる
+export const serializeScenarios = (scenarios) =>
+  scenarios.flatMap(scenario =>
+    scenario.data.map((row, index) => ({
+      ...row,
+      scenarioId: scenario.id,
+      scenarioName: scenario.name,
+      scenarioSettings: index === 0 ? JSON.stringify(scenario.settings) : '',
+    }))
+  );
+
+// シートの行配列をシナリオごとにまとめ直す（シナリオ列のない旧データはベースプラン扱い）
+export const deserializeScenarios = (rows) => {
+  const byId = new Map();
+  rows.forEach(row => {
+    const { scenarioId, scenarioName, scenarioSettings, ...rest } = row;
+    const id = scenarioId ? String(scenarioId) : DEFAULT_SCENARIO_ID;
+    if (!byId.has(id)) {
+      byId.set(id, createScenario(scenarioName || DEFAULT_SCENARIO_NAME, [], id, parseSettings(scenarioSettings)));
+    }
+    byId.get(id).data.push(normalizeRow(rest));
+  });
+  return [...byId.values()];
+};
+
+// ローカルの下書き・スナップショットに残っていた { data, settings } を今の形にそろえる
+// 古いバージョンで保存したものは、後から増えた設定項目や行の項目がないため
+export const normalizeScenarioState = (state) => ({
+  ...state,
+  data: (state.data || []).map(normalizeRow),
+  settings: normalizeSettings(state.settings),
+});
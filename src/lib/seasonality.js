@@ -0,0 +1,97 @@
+// 季節性プロファイル（月別の売上係数と年成長率）と、そこから未締めの月の予測を作る
+import { PLAN_DEFS } from './drivers';
+import { resolveMonth } from './actuals';
+import { addMonths, monthDiff, parseMonthStr } from './months';
+
+// factors は 1月～12月の売上係数（baseSales に掛ける）。成人式の1月・卒業式の3月・七五三の10～11月が山、8月が谷
+// growthRate は年成長率（%）で、期間の最初の月から1年経つごとに掛ける
+// planMix は売上目安をプラン別の予約件数に割り戻すときの構成比（%）
+export const createDefaultSeasonality = () => ({
+  baseSales: 3000000,
+  factors: [2.5, 1, 1.8, 1, 1, 1, 1, 0.8, 1, 1.5, 1.5, 1],
+  growthRate: 0,
+  busyThreshold: 1.8, // この係数以上の月を繁忙期として表示する
+  planMix: { rental: 60, kitsuke: 15, photo: 25 },
+});
+
+// 実績から推定するのに必要な締め済みの月数
+export const MIN_FIT_MONTHS = 3;
+
+const factorOf = (seasonality, month) => Number(seasonality.factors[month - 1]) || 0;
+
+export const isBusyMonth = (seasonality, month) => factorOf(seasonality, month) >= (Number(seasonality.busyThreshold) || Infinity);
+
+// その月の売上目安（yearsFromBase 年分の成長を掛ける）
+export const seasonalSales = (seasonality, month, yearsFromBase = 0) =>
+  (Number(seasonality.baseSales) || 0) * factorOf(seasonality, month) * Math.pow(1 + (Number(seasonality.growthRate) || 0) / 100, yearsFromBase);
+
+// 売上目安を構成比で分け、単価で割ってプラン別の予約件数にする
+export const countsForSales = (targetSales, planMix, plans) => Object.fromEntries(PLAN_DEFS.map(({ key, countField }) => {
+  const price = Number(plans[key].price) || 0;
+  return [countField, price > 0 ? Math.round(targetSales * ((Number(planMix[key]) || 0) / 100) / price) : 0];
+}));
+
+// 未締めの月の予約件数をプロファイルから作り直す（売上・原価の手入力は解除して件数×単価に戻す）
+// 売上・原価の再計算は呼び出し側（recalcRow）で行う
+export const generateForecast = (data, seasonality, plans) => {
+  if (data.length === 0) return data;
+  const baseMonth = data[0].monthStr;
+  return data.map(row => {
+    if (row.isClosed) return row;
+    const years = Math.floor(monthDiff(baseMonth, row.monthStr) / 12);
+    return {
+      ...row,
+      ...countsForSales(seasonalSales(seasonality, row.month, years), seasonality.planMix, plans),
+      salesManual: false,
+      cogsManual: false,
+    };
+  });
+};
+
+// 締め済みの月の売上実績から係数・基準売上・年成長率を推定する
+// 前年同月の実績があれば成長率を求め（前年比の幾何平均）、成長分を割り戻してから月別に平均する
+// 実績のない月は今の係数の形を残し、推定後は12ヶ月の係数の平均が1になるようにそろえる
+export const fitSeasonality = (data, seasonality) => {
+  const samples = data
+    .filter(row => row.isClosed)
+    .map(row => ({ monthStr: row.monthStr, sales: resolveMonth(row).sales }))
+    .filter(sample => sample.sales > 0);
+  if (samples.length < MIN_FIT_MONTHS || data.length === 0) return null;
+
+  const salesByMonth = new Map(samples.map(sample => [sample.monthStr, sample.sales]));
+  const ratios = samples
+    .map(sample => [sample.sales, salesByMonth.get(addMonths(sample.monthStr, -12).monthStr)])
+    .filter(([, previous]) => previous > 0)
+    .map(([current, previous]) => current / previous);
+  const growthRate = ratios.length > 0
+    ? (Math.exp(ratios.reduce((acc, r) => acc + Math.log(r), 0) / ratios.length) - 1) * 100
+    : Number(seasonality.growthRate) || 0;
+
+  const baseMonth = data[0].monthStr;
+  const totals = new Array(12).fill(0);
+  const counts = new Array(12).fill(0);
+  samples.forEach(({ monthStr, sales }) => {
+    const { month } = parseMonthStr(monthStr);
+    const years = Math.floor(monthDiff(baseMonth, monthStr) / 12);
+    totals[month - 1] += sales / Math.pow(1 + growthRate / 100, years);
+    counts[month - 1] += 1;
+  });
+
+  const covered = counts.map(c => c > 0);
+  const coveredFactorSum = seasonality.factors.reduce((acc, f, i) => acc + (covered[i] ? Number(f) || 0 : 0), 0);
+  const coveredSalesSum = totals.reduce((acc, t, i) => acc + (covered[i] ? t / counts[i] : 0), 0);
+  const level = coveredFactorSum > 0 ? coveredSalesSum / coveredFactorSum : coveredSalesSum / covered.filter(Boolean).length;
+  const raw = seasonality.factors.map((f, i) => (covered[i] ? totals[i] / counts[i] / level : Number(f) || 0));
+  const mean = raw.reduce((acc, f) => acc + f, 0) / 12;
+
+  return {
+    seasonality: {
+      ...seasonality,
+      baseSales: Math.round(level * mean / 1000) * 1000,
+      factors: raw.map(f => Math.round(f / mean * 100) / 100),
+      growthRate: Math.round(growthRate * 10) / 10,
+    },
+    sampleCount: samples.length,
+    coveredMonths: covered.filter(Boolean).length,
+  };
+};
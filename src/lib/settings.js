@@ -0,0 +1,54 @@
+// シナリオ単位の設定（月次行に載らない前提条件）
+import { createDefaultPlans } from './drivers';
+import { createDefaultCashSettings } from './cashflow';
+import { DEFAULT_FISCAL_YEAR_START_MONTH } from './period';
+import { createDefaultSeasonality } from './seasonality';
+import { createDefaultRiskSettings } from './montecarlo';
+import { createDefaultTaxSettings } from './tax';
+import { createDefaultReportSettings } from './report';
+
+// 期間（開始年月・月数）は月次行から求めるため、ここでは会計年度の期首月だけを持つ
+export const createDefaultSettings = () => ({
+  plans: createDefaultPlans(),
+  cash: createDefaultCashSettings(),
+  fiscalYearStartMonth: DEFAULT_FISCAL_YEAR_START_MONTH,
+  costItems: [], // 費用の内訳（costItems.js）
+  assets: [], // 着物在庫（assets.js）
+  seasonality: createDefaultSeasonality(),
+  events: [], // イベントカレンダー（events.js）
+  risk: createDefaultRiskSettings(), // リスク試算の前提（montecarlo.js）
+  tax: createDefaultTaxSettings(),
+  loans: [], // 借入金（loans.js）
+  units: [], // 店舗・チャネル（units.js）
+  sharedCostRule: 'salesRatio', // 共通費の配賦ルール（units.js の SHARED_COST_RULES）
+  report: createDefaultReportSettings(), // 印刷用レポートの表紙（report.js）
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// シートから読んだ設定に、後から追加された項目の初期値を補う
+export const normalizeSettings = (raw) => {
+  const defaults = createDefaultSettings();
+  const settings = isPlainObject(raw) ? raw : {};
+  const normalized = { ...defaults, ...settings };
+  Object.keys(defaults).forEach(key => {
+    if (isPlainObject(defaults[key])) {
+      normalized[key] = { ...defaults[key], ...(isPlainObject(settings[key]) ? settings[key] : {}) };
+    } else if (Array.isArray(defaults[key])) {
+      normalized[key] = Array.isArray(settings[key]) ? settings[key] : defaults[key];
+    }
+  });
+  return normalized;
+};
+
+// シートのセルはJSON文字列で返ってくるので安全にパースする
+export const parseSettings = (value) => {
+  if (!value) return normalizeSettings(null);
+  if (typeof value === 'object') return normalizeSettings(value);
+  try {
+    return normalizeSettings(JSON.parse(value));
+  } catch (error) {
+    console.error("Settings parse error:", error);
+    return normalizeSettings(null);
+  }
+};
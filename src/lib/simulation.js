@@ -0,0 +1,169 @@
+// 損益計算まわりの純粋関数（コンポーネントから切り出し、シナリオ比較でも再利用する）
+import { PLAN_DEFS, DRIVER_FIELDS, createDefaultPlans, calcDriverSales, applyDrivers } from './drivers';
+import { applyCostItems } from './costItems';
+import { applyAssets } from './assets';
+import { applyEvents } from './events';
+import { applyTaxes } from './tax';
+import { createDefaultSeasonality, seasonalSales, countsForSales } from './seasonality';
+import { ACTUAL_FIELDS, resolveMonth, variance } from './actuals';
+import { toMonthStr, addMonths } from './months';
+
+// シートの真偽値は文字列で返ってくることがある
+export const toBool = (value) => value === true || value === 'true' || value === 'TRUE';
+
+// 初期データの期間（開始年月と月数）
+export const DEFAULT_START_MONTH = '2025-09';
+export const DEFAULT_TOTAL_MONTHS = 16;
+
+// 1ヶ月分の初期値（季節性プロファイルの売上目安から予約件数を割り戻す）
+export const createMonthRow = (id, year, month, plans = createDefaultPlans(), seasonality = createDefaultSeasonality()) => {
+  const counts = countsForSales(seasonalSales(seasonality, month), seasonality.planMix, plans);
+  const { sales, cogs } = calcDriverSales(counts, plans);
+
+  return {
+    id,
+    monthStr: toMonthStr(year, month),
+    year: year,
+    month: month,
+    ...counts,
+    sales,
+    cogs,
+    salesManual: false,
+    cogsManual: false,
+    fixedCost: 800000,
+    fixedCostMemo: '',
+    spotCost: 200000,
+    spotCostMemo: '',
+    personnel: 600000,
+    personnelMemo: '',
+    depreciation: 0,
+    assetPurchase: 0,
+    ...Object.fromEntries(PLAN_DEFS.map(({ eventCountField }) => [eventCountField, 0])),
+    eventPersonnel: 0,
+    eventNames: '',
+    memo: '',
+    isClosed: false,
+    ...Object.fromEntries(ACTUAL_FIELDS.map(({ actualField }) => [actualField, ''])),
+  };
+};
+
+// 初期データ生成ヘルパー（初回アクセス時やデータがない場合用）
+export const generateInitialData = (plans = createDefaultPlans(), startMonth = DEFAULT_START_MONTH, totalMonths = DEFAULT_TOTAL_MONTHS, seasonality = createDefaultSeasonality()) => {
+  const data = [];
+  for (let i = 0; i < totalMonths; i++) {
+    const { year, month } = addMonths(startMonth, i);
+    data.push(createMonthRow(i, year, month, plans, seasonality));
+  }
+  return data;
+};
+
+// シートから読んだ月次行を現在のデータ形式にそろえる
+// 予約件数を持たない旧データは、入力済みの売上・原価を手入力扱いで残す
+export const normalizeRow = (row) => {
+  const isLegacy = DRIVER_FIELDS.some(field => row[field] === undefined || row[field] === '');
+  const normalized = { ...row };
+  DRIVER_FIELDS.forEach(field => {
+    normalized[field] = Number(row[field]) || 0;
+  });
+  normalized.salesManual = isLegacy || toBool(row.salesManual);
+  normalized.cogsManual = isLegacy || toBool(row.cogsManual);
+  normalized.isClosed = toBool(row.isClosed);
+  normalized.depreciation = Number(row.depreciation) || 0;
+  normalized.assetPurchase = Number(row.assetPurchase) || 0;
+  PLAN_DEFS.forEach(({ eventCountField }) => {
+    normalized[eventCountField] = Number(row[eventCountField]) || 0;
+  });
+  normalized.eventPersonnel = Number(row.eventPersonnel) || 0;
+  normalized.eventNames = row.eventNames || '';
+  ACTUAL_FIELDS.forEach(({ actualField }) => {
+    const value = row[actualField];
+    normalized[actualField] = value === '' || value === null || value === undefined ? '' : Number(value) || 0;
+  });
+  return normalized;
+};
+
+// シナリオ設定から決まる入力値（イベント分の件数・人件費、件数×単価の売上・原価、内訳から積み上げる費用、在庫の減価償却）を計算し直す
+export const recalcRow = (row, settings) =>
+  applyAssets(applyCostItems(applyDrivers(applyEvents(row, settings.events), settings.plans), settings.costItems), settings.assets);
+
+// 集計値の計算（締め済みの月は実績値で集計）
+// settings を渡すと、支払利息・経常利益・法人税等・税引後利益も集計する
+export const summarize = (data, settings) => {
+  const rows = buildChartData(data);
+  const totalSales = rows.reduce((acc, curr) => acc + curr.resultSales, 0);
+  const totalCost = rows.reduce((acc, curr) => acc + curr.resultTotalCost, 0);
+  const totalProfit = totalSales - totalCost;
+  const profitMargin = totalSales > 0 ? (totalProfit / totalSales) * 100 : 0;
+  const summary = {
+    sales: totalSales,
+    cost: totalCost,
+    profit: totalProfit,
+    margin: profitMargin.toFixed(1),
+    closedMonths: rows.filter(r => r.isClosed).length,
+  };
+  if (!settings) return summary;
+
+  const taxed = applyTaxes(rows, settings);
+  const sum = (key) => taxed.reduce((acc, curr) => acc + curr[key], 0);
+  return {
+    ...summary,
+    interest: sum('interest'),
+    ordinaryProfit: sum('ordinaryProfit'),
+    corporateTax: sum('corporateTax'),
+    netProfit: sum('netProfit'),
+  };
+};
+
+// グラフ・テーブル用データの整形（月次の派生値と累積値を付与）
+// sales などの入力項目と grossProfit / operatingProfit は計画値のまま残し、
+// result* には「締め済みなら実績、未締めなら計画」の採用値を入れる
+export const buildChartData = (data) => {
+  let accSales = 0;
+  let accCost = 0;
+
+  return data.map(d => {
+    const sales = Number(d.sales) || 0;
+    const cogs = Number(d.cogs) || 0;
+    const spotCost = Number(d.spotCost) || 0;
+    const fixedCost = Number(d.fixedCost) || 0;
+    // 人件費の計画はイベントの応援スタッフ分を含む
+    const personnel = (Number(d.personnel) || 0) + (Number(d.eventPersonnel) || 0);
+    // 減価償却費は計画値のみ（実績入力はなく、締め済みの月も同じ額を計上する）
+    const depreciation = Number(d.depreciation) || 0;
+
+    const grossProfit = sales - cogs;
+    const totalCost = cogs + fixedCost + spotCost + personnel + depreciation;
+    const operatingProfit = sales - totalCost;
+
+    const result = resolveMonth(d);
+    const resultTotalCost = result.cogs + result.fixedCost + result.spotCost + result.personnel + depreciation;
+    const resultOperatingProfit = result.sales - resultTotalCost;
+
+    accSales += result.sales;
+    accCost += resultTotalCost;
+
+    return {
+      ...d,
+      grossProfit,
+      totalCost,
+      operatingProfit,
+      resultSales: result.sales,
+      resultCogs: result.cogs,
+      resultFixedCost: result.fixedCost,
+      resultSpotCost: result.spotCost,
+      resultPersonnel: result.personnel,
+      resultDepreciation: depreciation,
+      resultTotalCost,
+      resultOperatingProfit,
+      // 実績（締め済みの月のみ）と計画との差異
+      actualOperatingProfit: d.isClosed ? resultOperatingProfit : null,
+      salesVariance: d.isClosed ? variance(result.sales, sales) : null,
+      costVariance: d.isClosed ? variance(resultTotalCost, totalCost) : null,
+      profitVariance: d.isClosed ? variance(resultOperatingProfit, operatingProfit) : null,
+      accumulatedSales: accSales,
+      accumulatedTotalCost: accCost,
+      profitMargin: sales > 0 ? ((operatingProfit / sales) * 100).toFixed(1) : 0,
+      resultProfitMargin: result.sales > 0 ? ((resultOperatingProfit / result.sales) * 100).toFixed(1) : 0
+    };
+  });
+};
@@ -0,0 +1,37 @@
+// GAS ウェブアプリと同じ GET/POST 契約で読み書きするストレージ
+// GET: 月次行の配列を返す / POST: text/plain のJSON文字列で全行を受け取り { status: 'ok' } を返す
+
+export const createHttpStorage = ({ name, label, saveLabel, url }) => ({
+  name,
+  label,
+  saveLabel,
+
+  async load() {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`読み込みエラー (HTTP ${response.status})`);
+    return response.json();
+  },
+
+  // GASはPOSTのPreflight(OPTIONS)が苦手なため、text/plain でJSON文字列を送る（単純リクエストなのでプリフライトなし）
+  // no-cors にするとレスポンスが読めず成否が分からないため、通常モードで送って結果を確認する
+  async save(rows) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/plain', 
+      },
+      body: JSON.stringify(rows),
+    });
+    if (!response.ok) throw new Error(`保存エラー (HTTP ${response.status})`);
+    const text = await response.text();
+    let result = null;
+    try {
+      result = JSON.parse(text);
+    } catch {
+      // JSON以外の応答（本文なしなど）はHTTPステータスだけで判定する
+    }
+    if (result && (result.status === 'error' || result.error)) {
+      throw new Error(result.message || result.error || '保存エラー');
+    }
+  },
+});
@@ -0,0 +1,43 @@
+// 保存先（ストレージ）の選択。環境変数 VITE_STORAGE_BACKEND で切り替える
+//   gas       : Google Apps Script ウェブアプリ（VITE_GAS_API_URL）
+//   json-file : ローカルのJSONファイル（npm run mock:gas で起動するスタンドインサーバー経由、VITE_JSON_FILE_API_URL）
+//   local     : ブラウザの localStorage（VITE_LOCAL_STORAGE_KEY）
+//   indexeddb : ブラウザの IndexedDB（VITE_INDEXED_DB_KEY）。localStorage の容量上限を超える大きな計画向け
+import { createHttpStorage } from './http';
+import { createLocalStorage } from './localStorage';
+import { createIndexedDbStorage } from './indexedDb';
+
+// ★ここにGASのウェブアプリURLを貼り付けてください（.env の VITE_GAS_API_URL が優先）
+const DEFAULT_GAS_API_URL = 'https://script.google.com/macros/s/AKfycbyldlQz0R5ui1qv3s_Vx3Tb3rP5xUu2tsfJc1CsNYJrDm0OoWaKUGZLfqUh2wGxmELsoQ/exec';
+const DEFAULT_JSON_FILE_API_URL = 'http://localhost:8787';
+const DEFAULT_LOCAL_STORAGE_KEY = 'kimono-sim:sheet';
+const DEFAULT_INDEXED_DB_KEY = 'sheet';
+
+export const createStorage = (env) => {
+  const backend = env.VITE_STORAGE_BACKEND || 'gas';
+  switch (backend) {
+    case 'gas':
+      return createHttpStorage({
+        name: 'gas',
+        label: 'Google Spreadsheets',
+        saveLabel: 'シートに保存',
+        url: env.VITE_GAS_API_URL || DEFAULT_GAS_API_URL,
+      });
+    case 'json-file':
+      return createHttpStorage({
+        name: 'json-file',
+        label: 'JSONファイル（ローカルサーバー）',
+        saveLabel: 'ファイルに保存',
+        url: env.VITE_JSON_FILE_API_URL || DEFAULT_JSON_FILE_API_URL,
+      });
+    case 'local':
+      return createLocalStorage({ key: env.VITE_LOCAL_STORAGE_KEY || DEFAULT_LOCAL_STORAGE_KEY });
+    case 'indexeddb':
+      return createIndexedDbStorage({ key: env.VITE_INDEXED_DB_KEY || DEFAULT_INDEXED_DB_KEY });
+    default:
+      throw new Error(`Unknown VITE_STORAGE_BACKEND: ${backend}`);
+  }
+};
+
+// アプリ全体で使う保存先
+export const storage = createStorage(import.meta.env);
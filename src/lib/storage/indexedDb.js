@@ -0,0 +1,27 @@
+// ブラウザの IndexedDB に保存するストレージ（localStorage の容量上限では足りない、シナリオの多い計画向け）
+// 下書き（localDraft.js）とは別のデータベースに、保存した全行を key ごとに1件として持つ
+import { createIdbStore } from '../idbStore';
+
+const withStore = createIdbStore({ dbName: 'kimono-sim-storage', storeName: 'sheets' });
+
+export const createIndexedDbStorage = ({ key }) => ({
+  name: 'indexeddb',
+  label: 'ブラウザ（IndexedDB）',
+  saveLabel: 'ブラウザに保存',
+
+  async load() {
+    try {
+      return (await withStore('readonly', store => store.get(key))) || [];
+    } catch (error) {
+      throw new Error(`読み込みエラー (${error?.name || 'IndexedDB'})`);
+    }
+  },
+
+  async save(rows) {
+    try {
+      await withStore('readwrite', store => store.put(rows, key));
+    } catch (error) {
+      throw new Error(`保存エラー (${error?.name || 'IndexedDB'})`);
+    }
+  },
+});
@@ -0,0 +1,20 @@
+// ブラウザの localStorage に保存するストレージ（Google に接続せずに使う場合）
+
+export const createLocalStorage = ({ key }) => ({
+  name: 'local',
+  label: 'ブラウザ（localStorage）',
+  saveLabel: 'ブラウザに保存',
+
+  async load() {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : [];
+  },
+
+  async save(rows) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(rows));
+    } catch (error) {
+      throw new Error(`保存エラー (${error.name})`);
+    }
+  },
+});
@@ -0,0 +1,28 @@
+// 保存先（シートなど）との同期状態と、競合検出用のハッシュ
+
+// 同期状態ごとの表示（ヘッダーのステータス表示用）
+export const SYNC_STATUS = {
+  saved: { label: '保存済み', className: 'bg-emerald-900/60 text-emerald-200' },
+  pending: { label: '未保存の変更あり', className: 'bg-amber-900/60 text-amber-200' },
+  saving: { label: '保存中...', className: 'bg-slate-700 text-gray-200' },
+  offline: { label: 'オフライン（ローカルに保存中）', className: 'bg-slate-700 text-gray-300' },
+  conflict: { label: '保存先が更新されています', className: 'bg-red-900/70 text-red-200' },
+  error: { label: '保存に失敗しました', className: 'bg-red-900/70 text-red-200' },
+};
+
+// 自動保存までの待ち時間（最後の編集から）
+export const AUTOSAVE_DELAY_MS = 5000;
+
+// シートの内容が読み込み時から変わったかを判定するためのハッシュ（FNV-1a）
+export const hashData = (value) => {
+  const text = JSON.stringify(value ?? []);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+// 保存先のシートが空（まだ何も保存されていない）か
+export const isEmptySheet = (rows) => !Array.isArray(rows) || rows.length === 0;
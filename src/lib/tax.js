@@ -0,0 +1,94 @@
+// 営業利益から先（支払利息・経常利益・法人税等・税引後利益）と、消費税・法人税・借入返済の資金への影響
+import { loansForMonth } from './loans';
+import { fiscalYearOf } from './months';
+
+// priceMode: 入力した金額が税抜（exclusive）か税込（inclusive）か
+// taxableShare: 費用のうち消費税のかかる仕入・経費の割合（%）。人件費は課税対象外、在庫の購入は全額課税
+// corporateTaxRate: 法人税・住民税・事業税をまとめた実効税率（%）
+// paymentLagMonths: 決算月から何ヶ月後に消費税・法人税等を納付するか（中間申告は考慮しない）
+export const createDefaultTaxSettings = () => ({
+  priceMode: 'exclusive',
+  consumptionTaxRate: 10,
+  taxableShare: { cogs: 100, fixedCost: 70, spotCost: 100 },
+  corporateTaxRate: 30,
+  paymentLagMonths: 2,
+});
+
+export const PRICE_MODES = [
+  { key: 'exclusive', label: '税抜で入力' },
+  { key: 'inclusive', label: '税込で入力' },
+];
+
+// 月次の採用値（chartData）に税と借入の各項目を付与する
+// 税込入力のときは、納める消費税を費用（租税公課）として経常利益の計算に含める
+// 法人税等は年度の累計経常利益に税率を掛けて月々に計上し、累計がマイナスの間は計上しない
+// 期間の外にずれ込む納付は計算対象外（資金繰りと同じ扱い）
+export const applyTaxes = (rows, settings) => {
+  const tax = settings.tax;
+  const loans = settings.loans || [];
+  const fyStart = settings.fiscalYearStartMonth;
+  const rate = (Number(tax.consumptionTaxRate) || 0) / 100;
+  const isInclusive = tax.priceMode === 'inclusive';
+  const taxOf = (amount) => (isInclusive ? amount * rate / (1 + rate) : amount * rate);
+  const share = (key) => (Number(tax.taxableShare?.[key]) || 0) / 100;
+  const corporateRate = (Number(tax.corporateTaxRate) || 0) / 100;
+  const lag = Math.round(Number(tax.paymentLagMonths) || 0);
+
+  const fyOf = (row) => fiscalYearOf(row.year, row.month, fyStart);
+  const lastIndexOfFy = new Map();
+  rows.forEach((row, i) => lastIndexOfFy.set(fyOf(row), i));
+
+  const payments = new Array(rows.length).fill(0);
+  const consumptionTaxByFy = new Map();
+  const corporateTaxByFy = new Map();
+  const ytdByFy = new Map();
+
+  const computed = rows.map(row => {
+    const fy = fyOf(row);
+    const outputTax = taxOf(row.resultSales);
+    const inputTax = taxOf(
+      row.resultCogs * share('cogs') + row.resultFixedCost * share('fixedCost') + row.resultSpotCost * share('spotCost') + (Number(row.assetPurchase) || 0),
+    );
+    const consumptionTax = Math.round(outputTax - inputTax);
+    consumptionTaxByFy.set(fy, (consumptionTaxByFy.get(fy) || 0) + consumptionTax);
+
+    const loan = loansForMonth(loans, row.monthStr);
+    const consumptionTaxExpense = isInclusive ? consumptionTax : 0;
+    const ordinaryProfit = row.resultOperatingProfit - loan.interest - consumptionTaxExpense;
+
+    const previousYtd = ytdByFy.get(fy) || 0;
+    const ytd = previousYtd + ordinaryProfit;
+    ytdByFy.set(fy, ytd);
+    const corporateTax = Math.round(Math.max(ytd, 0) * corporateRate - Math.max(previousYtd, 0) * corporateRate);
+    corporateTaxByFy.set(fy, (corporateTaxByFy.get(fy) || 0) + corporateTax);
+
+    return {
+      ...row,
+      consumptionTax,
+      consumptionTaxExpense,
+      interest: loan.interest,
+      ordinaryProfit,
+      corporateTax,
+      netProfit: ordinaryProfit - corporateTax,
+      loanBorrowed: loan.borrowed,
+      loanPrincipal: loan.principal,
+      loanBalance: loan.balance,
+      // 税抜入力では消費税分を売上・仕入と一緒に受け払いする
+      transactionTaxCash: isInclusive ? 0 : Math.round(outputTax - inputTax),
+    };
+  });
+
+  // 年度の消費税・法人税等は決算月の paymentLagMonths ヶ月後にまとめて納付（決算月が期間内にある年度のみ）
+  const fyEndMonth = fyStart === 1 ? 12 : fyStart - 1;
+  lastIndexOfFy.forEach((lastIndex, fy) => {
+    if (rows[lastIndex].month !== fyEndMonth) return;
+    const payIndex = lastIndex + lag;
+    if (payIndex < rows.length) payments[payIndex] += (consumptionTaxByFy.get(fy) || 0) + (corporateTaxByFy.get(fy) || 0);
+  });
+
+  return computed.map((row, i) => ({
+    ...row,
+    taxPayment: payments[i],
+    taxLoanCashFlow: row.transactionTaxCash - payments[i] + row.loanBorrowed - row.loanPrincipal - row.interest,
+  }));
+};
@@ -0,0 +1,173 @@
+// 店舗・チャネル別の損益（月次の1本の損益を拠点ごとに分け、共通費をルールで配賦する）
+import { PLAN_DEFS } from './drivers';
+import { COST_CATEGORIES, itemsForMonth, itemMonthlyAmount } from './costItems';
+import { createId } from './ids';
+
+// 共通費の配賦ルール（salesRatio: その月の売上比、fixed: 拠点ごとに決めた固定の割合）
+export const SHARED_COST_RULES = [
+  { key: 'salesRatio', label: '売上比' },
+  { key: 'fixed', label: '固定比率' },
+];
+
+// planShares: プラン別の売上のうち、この拠点の取り分（%）。拠点をまたいで合計100%にする
+// fixedShare: 固定比率で配賦するときの共通費の負担割合（%）
+// actualSales: 締めた月にこの拠点で集計した売上の実績（{ 年月: 円 }。入力のない月は全体の実績を配分する）
+export const createUnit = (name = '') => ({
+  id: createId('u'),
+  name,
+  planShares: Object.fromEntries(PLAN_DEFS.map(({ key }) => [key, 0])),
+  fixedShare: 0,
+  actualSales: {},
+});
+
+// 拠点の売上実績を1ヶ月分入れる（空欄は入力を消して配分に戻す）
+export const setUnitActualSales = (unit, monthStr, value) => {
+  const { [monthStr]: _removed, ...rest } = unit.actualSales || {};
+  return { ...unit, actualSales: value === '' ? rest : { ...rest, [monthStr]: value } };
+};
+
+const unitActualSales = (unit, monthStr) => {
+  const value = unit.actualSales?.[monthStr];
+  return value === undefined || value === '' ? null : Number(value) || 0;
+};
+
+// 店頭レンタル・オンラインレンタル・フォトスタジオの3拠点
+export const standardUnits = () => [
+  { ...createUnit('店頭レンタル'), planShares: { rental: 70, kitsuke: 100, photo: 0 }, fixedShare: 50 },
+  { ...createUnit('オンラインレンタル'), planShares: { rental: 30, kitsuke: 0, photo: 0 }, fixedShare: 20 },
+  { ...createUnit('フォトスタジオ'), planShares: { rental: 0, kitsuke: 0, photo: 100 }, fixedShare: 30 },
+];
+
+// プランごとの取り分の合計（100%以外なら画面で注意を出す）
+export const planShareTotals = (units) => Object.fromEntries(
+  PLAN_DEFS.map(({ key }) => [key, units.reduce((acc, unit) => acc + (Number(unit.planShares?.[key]) || 0), 0)]),
+);
+
+// 割合を合計1にそろえる（合計が0なら均等に分ける）
+const normalizeWeights = (weights) => {
+  const total = weights.reduce((acc, w) => acc + w, 0);
+  if (total <= 0) return weights.map(() => 1 / weights.length);
+  return weights.map(w => w / total);
+};
+
+// 円未満を丸めたうえで合計が total になるように、端数の差を最後の拠点に寄せる
+const roundToTotal = (values, total) => {
+  const rounded = values.map(Math.round);
+  rounded[rounded.length - 1] += Math.round(total) - rounded.reduce((a, b) => a + b, 0);
+  return rounded;
+};
+
+// プラン別の売上・原価の計画（予約件数×単価）。手入力や実績の売上もこの構成比で拠点に分ける
+const planAmounts = (row, plans) => PLAN_DEFS.map(({ key, countField, eventCountField }) => {
+  const plan = plans[key] || { price: 0, costRatio: 0 };
+  const count = (Number(row[countField]) || 0) + (Number(row[eventCountField]) || 0);
+  const sales = count * (Number(plan.price) || 0);
+  return { key, sales, cogs: sales * (Number(plan.costRatio) || 0) / 100 };
+});
+
+// 拠点の実績が入っている月の売上（入力のない拠点へ、全体の実績の残りを配分比で分ける）
+const allocateRemainingSales = (entered, weights, total) => {
+  const rest = entered.reduce((acc, v, u) => (v === null ? acc + weights[u] : acc), 0);
+  const remaining = total - entered.reduce((acc, v) => acc + (v ?? 0), 0);
+  if (rest <= 0 || remaining <= 0) return entered.map(v => v ?? 0);
+  const open = entered.map((v, u) => (v === null ? remaining * weights[u] / rest : null));
+  const rounded = roundToTotal(open.filter(v => v !== null), remaining);
+  return entered.map(v => (v === null ? rounded.shift() : v));
+};
+
+// 拠点ごとの配分比（amountKey のプラン別構成比 × 各拠点の取り分）
+const unitWeights = (amounts, shares, amountKey) => {
+  const total = amounts.reduce((acc, a) => acc + a[amountKey], 0);
+  if (total <= 0) return null;
+  return shares.map(unitShares => amounts.reduce((acc, a, p) => acc + a[amountKey] * unitShares[p], 0) / total);
+};
+
+// 月次の採用値（chartData）を拠点別に分ける
+// 売上・原価はプラン別の取り分で、費用の明細で拠点を指定したものはその拠点の直接費、残り（減価償却費を含む）は共通費として配賦する
+// 拠点の営業利益を合計すると全体の営業利益に一致する（拠点の売上実績の合計が全体の実績と違う月は、その差 unmatchedSales の分だけずれる）
+// 締めた月は、拠点の売上実績が入っていればその値を使い、全体の実績の残りを入力のない拠点へ計画の構成比で配分する
+// 入力のない拠点がある締めた月は isAllocatedActual（配分した値で、拠点ごとの実測ではない）
+export const buildUnitBreakdown = (rows, settings) => {
+  const units = settings.units || [];
+  if (units.length === 0) return [];
+  const costItems = settings.costItems || [];
+  const rule = settings.sharedCostRule;
+
+  // プランごとに、拠点の取り分を合計1にそろえる
+  const shares = units.map(() => []);
+  PLAN_DEFS.forEach(({ key }, p) => {
+    normalizeWeights(units.map(unit => Number(unit.planShares?.[key]) || 0)).forEach((w, u) => {
+      shares[u][p] = w;
+    });
+  });
+  const fixedWeights = normalizeWeights(units.map(unit => Number(unit.fixedShare) || 0));
+
+  return rows.map(row => {
+    const amounts = planAmounts(row, settings.plans);
+    const salesWeights = unitWeights(amounts, shares, 'sales') || fixedWeights;
+    const cogsWeights = unitWeights(amounts, shares, 'cogs') || salesWeights;
+
+    const entered = units.map(unit => (row.isClosed ? unitActualSales(unit, row.monthStr) : null));
+    const hasEntered = entered.some(v => v !== null);
+    const sales = hasEntered ? allocateRemainingSales(entered, salesWeights, row.resultSales) : roundToTotal(salesWeights.map(w => row.resultSales * w), row.resultSales);
+    const unmatchedSales = row.resultSales - sales.reduce((a, b) => a + b, 0);
+    // 拠点の実績を使った月は、原価・共通費も実際の売上の比で分ける
+    const actualWeights = hasEntered ? normalizeWeights(sales.map(v => Math.max(v, 0))) : null;
+    const cogs = roundToTotal((actualWeights || cogsWeights).map(w => row.resultCogs * w), row.resultCogs);
+
+    // 直接費：明細の計画額が費目の計画に占める割合を、採用値（締め済みなら実績）に掛ける
+    const direct = units.map(() => 0);
+    COST_CATEGORIES.forEach(({ key }) => {
+      const planTotal = key === 'personnel'
+        ? (Number(row.personnel) || 0) + (Number(row.eventPersonnel) || 0)
+        : Number(row[key]) || 0;
+      if (planTotal <= 0) return;
+      const resultKey = `result${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+      const monthItems = itemsForMonth(costItems, key, row.monthStr);
+      units.forEach((unit, u) => {
+        const amount = monthItems
+          .filter(item => item.unitId === unit.id)
+          .reduce((acc, item) => acc + itemMonthlyAmount(item), 0);
+        direct[u] += row[resultKey] * Math.min(amount / planTotal, 1);
+      });
+    });
+    const directCost = direct.map(Math.round);
+
+    const shared = row.resultTotalCost - cogs.reduce((a, b) => a + b, 0) - directCost.reduce((a, b) => a + b, 0);
+    const sharedWeights = rule === 'fixed' || row.resultSales <= 0 ? fixedWeights : (actualWeights || salesWeights);
+    const sharedCost = roundToTotal(sharedWeights.map(w => shared * w), shared);
+
+    return {
+      monthStr: row.monthStr,
+      isClosed: Boolean(row.isClosed),
+      isAllocatedActual: Boolean(row.isClosed) && entered.some(v => v === null),
+      unmatchedSales,
+      units: units.map((unit, u) => ({
+        id: unit.id,
+        isActual: entered[u] !== null,
+        sales: sales[u],
+        cogs: cogs[u],
+        directCost: directCost[u],
+        sharedCost: sharedCost[u],
+        operatingProfit: sales[u] - cogs[u] - directCost[u] - sharedCost[u],
+      })),
+    };
+  });
+};
+
+// 期間合計（拠点ごと）
+export const summarizeUnits = (breakdown, units) => units.map((unit, u) => {
+  const sum = (key) => breakdown.reduce((acc, month) => acc + month.units[u][key], 0);
+  const sales = sum('sales');
+  const operatingProfit = sum('operatingProfit');
+  return {
+    id: unit.id,
+    name: unit.name,
+    sales,
+    grossProfit: sales - sum('cogs'),
+    directCost: sum('directCost'),
+    sharedCost: sum('sharedCost'),
+    operatingProfit,
+    margin: sales > 0 ? ((operatingProfit / sales) * 100).toFixed(1) : '0.0',
+  };
+});
@@ -0,0 +1,65 @@
+// 入力テーブルの注意表示（保存は止めず、入力ミスらしい値に印を付ける）
+import { ACTUAL_FIELDS, planValue } from './actuals';
+
+// 他の月の中央値からこの倍率以上離れていたら桁の打ち間違いを疑う
+export const OUTLIER_RATIO = 5;
+
+// 月ごとの変動が小さく、桁違いが入力ミスである可能性が高い項目（売上は手入力した月だけ）
+const STEADY_FIELDS = [
+  { field: 'fixedCost', label: '固定費' },
+  { field: 'personnel', label: '人件費' },
+  { field: 'sales', label: '売上', manualFlag: 'salesManual' },
+];
+
+const NUMERIC_FIELDS = ['sales', 'cogs', 'fixedCost', 'spotCost', 'personnel', ...ACTUAL_FIELDS.map(a => a.actualField)];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+const isFarFrom = (value, base) => base > 0 && value > 0 && (value >= base * OUTLIER_RATIO || value * OUTLIER_RATIO <= base);
+
+// { [行id]: { [項目]: メッセージ } } を返す
+export const buildInputWarnings = (data) => {
+  const warnings = {};
+  const warn = (row, field, message) => {
+    warnings[row.id] = { ...warnings[row.id], [field]: warnings[row.id]?.[field] || message };
+  };
+
+  const medians = {};
+  STEADY_FIELDS.forEach(({ field }) => {
+    const values = data.map(row => Number(row[field]) || 0).filter(v => v > 0);
+    medians[field] = values.length >= 3 ? median(values) : 0;
+  });
+
+  data.forEach(row => {
+    NUMERIC_FIELDS.forEach(field => {
+      if (!isBlank(row[field]) && Number(row[field]) < 0) warn(row, field, 'マイナスの値です');
+    });
+    if (Number(row.cogs) > Number(row.sales)) warn(row, 'cogs', '原価が売上を上回っています');
+    if (row.isClosed && !isBlank(row.actualCogs) && Number(row.actualCogs) > (isBlank(row.actualSales) ? Number(row.sales) : Number(row.actualSales))) {
+      warn(row, 'actualCogs', '実績の原価が売上を上回っています');
+    }
+
+    STEADY_FIELDS.forEach(({ field, label, manualFlag }) => {
+      if (manualFlag && !row[manualFlag]) return;
+      if (isFarFrom(Number(row[field]) || 0, medians[field])) {
+        warn(row, field, `${label}が他の月（中央値 ${Math.round(medians[field]).toLocaleString('ja-JP')}円）と桁が違います`);
+      }
+    });
+
+    // 実績が計画と桁違い（締めた月だけ）
+    if (row.isClosed) {
+      ACTUAL_FIELDS.forEach(def => {
+        if (isBlank(row[def.actualField])) return;
+        const plan = planValue(row, def);
+        if (isFarFrom(Number(row[def.actualField]), plan)) warn(row, def.actualField, `実績の${def.label}が計画（${plan.toLocaleString('ja-JP')}円）と桁が違います`);
+      });
+    }
+  });
+  return warnings;
+};
@@ -0,0 +1,92 @@
+// What-if（保存済みの計画を書き換えずに、全体へ一律の調整をかけて試算する）
+import { PLAN_DEFS, applyDrivers } from './drivers';
+import { summarize } from './simulation';
+
+// salesPct: 売上の増減（%）、cogsRatioPt: 原価率の増減（ポイント）
+// fixedCostPct / spotCostPct: 固定費・スポット費用の増減（%）
+// staffDelta: 人員の増減（名）、staffMonthlyCost: 1名あたりの月額人件費
+// bookingPct: プラン別の予約件数の増減（%、件数×単価で計算している月のみ）
+export const createDefaultWhatIf = () => ({
+  salesPct: 0,
+  cogsRatioPt: 0,
+  fixedCostPct: 0,
+  spotCostPct: 0,
+  staffDelta: 0,
+  staffMonthlyCost: 300000,
+  bookingPct: {},
+});
+
+export const isWhatIfActive = (whatIf) =>
+  ['salesPct', 'cogsRatioPt', 'fixedCostPct', 'spotCostPct', 'staffDelta'].some(key => Number(whatIf[key]) !== 0) ||
+  Object.values(whatIf.bookingPct || {}).some(v => Number(v) !== 0);
+
+// 未締めの月に調整をかけた月次データを返す（締め済みの月は実績なのでそのまま）
+export const applyWhatIf = (data, whatIf, plans) => {
+  if (!isWhatIfActive(whatIf)) return data;
+  const salesRate = 1 + (Number(whatIf.salesPct) || 0) / 100;
+  const cogsPt = (Number(whatIf.cogsRatioPt) || 0) / 100;
+  const fixedRate = 1 + (Number(whatIf.fixedCostPct) || 0) / 100;
+  const spotRate = 1 + (Number(whatIf.spotCostPct) || 0) / 100;
+  const staffCost = (Number(whatIf.staffDelta) || 0) * (Number(whatIf.staffMonthlyCost) || 0);
+  const bookingPct = whatIf.bookingPct || {};
+
+  return data.map(row => {
+    if (row.isClosed) return row;
+    let adjusted = { ...row };
+
+    // プラン別の件数調整はドライバー計算に戻して売上・原価へ反映
+    const hasBookingChange = PLAN_DEFS.some(({ key }) => Number(bookingPct[key]) !== 0 && bookingPct[key] !== undefined);
+    if (hasBookingChange) {
+      PLAN_DEFS.forEach(({ key, countField }) => {
+        adjusted[countField] = (Number(row[countField]) || 0) * (1 + (Number(bookingPct[key]) || 0) / 100);
+      });
+      adjusted = applyDrivers(adjusted, plans);
+    }
+
+    const sales = (Number(adjusted.sales) || 0) * salesRate;
+    const cogs = (Number(adjusted.cogs) || 0) * salesRate + sales * cogsPt;
+    return {
+      ...adjusted,
+      sales: Math.round(sales),
+      cogs: Math.round(Math.max(cogs, 0)),
+      fixedCost: Math.round((Number(row.fixedCost) || 0) * fixedRate),
+      spotCost: Math.round((Number(row.spotCost) || 0) * spotRate),
+      personnel: Math.round(Math.max((Number(row.personnel) || 0) + staffCost, 0)),
+    };
+  });
+};
+
+// トルネード図で振る入力項目（low / high は現在の what-if 値に上乗せする幅）
+const TORNADO_INPUTS = [
+  { key: 'salesPct', label: '売上 ±10%', low: -10, high: 10 },
+  { key: 'cogsRatioPt', label: '原価率 ±5pt', low: -5, high: 5 },
+  { key: 'fixedCostPct', label: '固定費 ±10%', low: -10, high: 10 },
+  { key: 'spotCostPct', label: 'スポット費用 ±10%', low: -10, high: 10 },
+  { key: 'staffDelta', label: '人員 ±1名', low: -1, high: 1 },
+  ...PLAN_DEFS.map(plan => ({ key: `bookingPct.${plan.key}`, label: `${plan.label}件数 ±10%`, low: -10, high: 10 })),
+];
+
+const shiftWhatIf = (whatIf, key, delta) => {
+  if (key.startsWith('bookingPct.')) {
+    const planKey = key.split('.')[1];
+    const bookingPct = whatIf.bookingPct || {};
+    return { ...whatIf, bookingPct: { ...bookingPct, [planKey]: (Number(bookingPct[planKey]) || 0) + delta } };
+  }
+  return { ...whatIf, [key]: (Number(whatIf[key]) || 0) + delta };
+};
+
+// 各入力を単独で振ったときの期間営業利益（summary.profit）の変化幅を、影響の大きい順に並べる
+export const buildTornado = (data, whatIf, plans) => {
+  const baseProfit = summarize(applyWhatIf(data, whatIf, plans)).profit;
+  return TORNADO_INPUTS.map(({ key, label, low, high }) => {
+    const lowProfit = summarize(applyWhatIf(data, shiftWhatIf(whatIf, key, low), plans)).profit;
+    const highProfit = summarize(applyWhatIf(data, shiftWhatIf(whatIf, key, high), plans)).profit;
+    return {
+      key,
+      label,
+      low: lowProfit - baseProfit,
+      high: highProfit - baseProfit,
+      range: Math.abs(highProfit - lowProfit),
+    };
+  }).sort((a, b) => b.range - a.range);
+};
@@ -0,0 +1,115 @@
+// 最小限の .xlsx 書き出し（シート1枚、文字列と数値のセルのみ）
+// xlsx は ZIP に XML を詰めたものなので、無圧縮の ZIP を自前で組み立てる（外部ライブラリに頼らない）
+
+const encoder = new TextEncoder();
+
+// ZIP のエントリごとに必要な CRC-32
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// files は { name, content（文字列） } の配列。無圧縮（stored）で格納する
+const buildZip = (files) => {
+  const entries = files.map(file => ({ name: encoder.encode(file.name), data: encoder.encode(file.content) }));
+  const localSize = entries.reduce((acc, e) => acc + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((acc, e) => acc + 46 + e.name.length, 0);
+  const buffer = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+  const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+  const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+  const bytes = (value) => { buffer.set(value, offset); offset += value.length; };
+
+  entries.forEach(e => {
+    e.crc = crc32(e.data);
+    e.offset = offset;
+    u32(0x04034B50); u16(20); u16(0x0800); u16(0); u16(0); u16(0x21);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0);
+    bytes(e.name);
+    bytes(e.data);
+  });
+  const centralOffset = offset;
+  entries.forEach(e => {
+    u32(0x02014B50); u16(20); u16(20); u16(0x0800); u16(0); u16(0); u16(0x21);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); u16(0); u16(0); u16(0); u32(0); u32(e.offset);
+    bytes(e.name);
+  });
+  u32(0x06054B50); u16(0); u16(0); u16(entries.length); u16(entries.length); u32(centralSize); u32(centralOffset); u16(0);
+  return buffer;
+};
+
+// XML に書けない制御文字は除く
+const escapeXml = (text) => String(text)
+  .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 → A, 25 → Z, 26 → AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+// 数値は数値セル、それ以外は文字列セル（インライン文字列なので数式としては扱われない）
+const cellXml = (value, ref) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// rows は2次元配列、widths は列ごとの幅（文字数）。.xlsx のバイト列を返す
+export const buildXlsx = (sheetName, rows, widths = []) => {
+  const cols = widths.length > 0
+    ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const sheetData = rows
+    .map((row, r) => `<row r="${r + 1}">${row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('')}</row>`)
+    .join('');
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+        + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">${cols}<sheetData>${sheetData}</sheetData></worksheet>`,
+    },
+  ]);
+};